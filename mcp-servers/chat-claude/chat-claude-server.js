@@ -8,43 +8,186 @@
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { CallToolRequestSchema, ListToolsRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema
+} from "@modelcontextprotocol/sdk/types.js";
+import { basename, dirname, join, relative, resolve, extname, sep } from "path";
+import { existsSync } from "fs";
+import { readFile } from "fs/promises";
 import { ClaudeAPIClient } from "./lib/claude-api-client.js";
-import { TaskManager } from "./lib/task-manager.js";
+import { TaskManager, ACTIVE_STATUSES, SETTLED_STATUSES } from "./lib/task-manager.js";
+import { RESULT_FORMATS } from "./lib/result-document.js";
+import { TaskQueue } from "./lib/task-queue.js";
+import { ServerConfig } from "./lib/config.js";
+import { RetryPolicy } from "./lib/retry-policy.js";
+import { ContextBuilder } from "./lib/context-builder.js";
+import { ProviderRegistry } from "./lib/providers.js";
+import { TaskTypeRegistry } from "./lib/task-types.js";
+import { ResultIndex } from "./lib/result-index.js";
+import { ResultResources } from "./lib/result-resources.js";
+import { PromptLibrary } from "./lib/prompt-library.js";
+import { AttachmentLoader, formatBytes } from "./lib/attachments.js";
+import { McpHttpServer } from "./lib/http-server.js";
+import { parseTasksFile, TasksFileUpdater } from "./lib/tasks-file.js";
 
 // Get configuration from environment
-const API_KEY = process.env.ANTHROPIC_API_KEY;
 const PROJECT_ROOT = process.env.PROJECT_ROOT || process.cwd();
+const CONCURRENCY = Number(process.env.CHAT_CLAUDE_CONCURRENCY || '2');
 
-if (!API_KEY) {
-  console.error("ERROR: ANTHROPIC_API_KEY environment variable is required");
+// A bad value would leave every task pending forever, so refuse to start instead
+if (!Number.isInteger(CONCURRENCY) || CONCURRENCY < 1) {
+  console.error(`Fatal error: CHAT_CLAUDE_CONCURRENCY must be a positive integer (got "${process.env.CHAT_CLAUDE_CONCURRENCY}")`);
   process.exit(1);
 }
 
+// Upper bound for a single wait_for_tasks call
+const MAX_WAIT_SECONDS = 600;
+
+// Load config
+const serverConfig = new ServerConfig(PROJECT_ROOT);
+await serverConfig.load();
+
+// Task types come from task-types.yml files and are reloaded when those change
+const taskTypes = new TaskTypeRegistry(PROJECT_ROOT);
+await taskTypes.refresh();
+
+// Delegation recipes come from prompts.yml files, reloaded the same way
+const promptLibrary = new PromptLibrary(PROJECT_ROOT);
+await promptLibrary.refresh();
+
+// Providers are created on first use, so a missing key only affects tasks routed to that provider
+const providers = new ProviderRegistry(serverConfig.getProviderSettings(), PROJECT_ROOT);
+const defaultProvider = serverConfig.getTaskSettings().provider;
+const defaultProviderError = providers.check(defaultProvider);
+if (defaultProviderError) {
+  console.error(`WARNING: ${defaultProviderError}; tasks need another provider until this is fixed`);
+}
+
 // Initialize clients
-const claudeClient = new ClaudeAPIClient(API_KEY);
-const taskManager = new TaskManager(PROJECT_ROOT);
+const claudeClient = new ClaudeAPIClient(providers, {
+  retryPolicy: new RetryPolicy(serverConfig.getRetrySettings()),
+  taskTypes
+});
+const usageSettings = serverConfig.getUsageSettings();
+const cacheSettings = serverConfig.getCacheSettings();
+const retentionSettings = serverConfig.getRetentionSettings();
+const taskManager = new TaskManager(PROJECT_ROOT, {
+  pricing: usageSettings.pricing,
+  trackUsage: usageSettings.track
+});
+const contextBuilder = new ContextBuilder(PROJECT_ROOT, taskManager);
+const attachmentLoader = new AttachmentLoader(PROJECT_ROOT, serverConfig.getAttachmentSettings());
+const tasksFileUpdater = new TasksFileUpdater();
+const resultIndex = new ResultIndex(taskManager);
+const resultResources = new ResultResources(taskManager);
 
 // Initialize task manager
 await taskManager.initialize();
 
-// Create MCP server
-const server = new Server(
-  {
-    name: "chat-claude",
-    version: "0.1.0",
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
+// Apply retention rules once at startup if configured
+if (retentionSettings.prune_on_start) {
+  const { content } = await pruneResults({});
+  console.error(content[0].text.split('\n')[0]);
+}
+
+// Abort controllers for tasks whose API request is in flight
+const runningControllers = new Map();
+
+// Background workers for delegated tasks
+const taskQueue = new TaskQueue({
+  concurrency: CONCURRENCY,
+  worker: runTask
+});
+
+// Pending tasks held back until their dependencies complete
+const heldTasks = new Set();
+
+// Release or fail held tasks as their dependencies settle
+taskManager.on('task-updated', (task) => {
+  if (!SETTLED_STATUSES.includes(task.status)) {
+    return;
+  }
+
+  for (const held_id of [...heldTasks]) {
+    const heldTask = taskManager.getTask(held_id);
+
+    if (heldTask?.status !== 'pending') {
+      heldTasks.delete(held_id);
+    } else if (heldTask.depends_on.includes(task.task_id)) {
+      scheduleTask(held_id);
+    }
+  }
+});
+
+// Connected clients: one over stdio, or any number over HTTP sharing the tasks above
+const sessions = new Set();
+
+/**
+ * Send a notification to every connected client
+ * @param {Function} send - Called with each client's MCP server
+ */
+function broadcast(send) {
+  for (const session of sessions) {
+    send(session.server).catch(() => {});
   }
-);
+}
+
+// The delegate_task schema lists the task types, so clients re-fetch tools when they change
+taskTypes.watch(() => {
+  console.error(`Task types reloaded: ${taskTypes.names().join(', ')}`);
+  broadcast(server => server.sendToolListChanged());
+});
+
+promptLibrary.watch(() => {
+  console.error(`Prompts reloaded: ${promptLibrary.list().map(prompt => prompt.name).join(', ')}`);
+  broadcast(server => server.sendPromptListChanged());
+});
+
+// Stored results are also readable as resources; clients hear when they change
+resultResources.watch({
+  onUpdated: (uri, session) => session.server.sendResourceUpdated({ uri }).catch(() => {}),
+  onListChanged: () => broadcast(server => server.sendResourceListChanged())
+});
 
 // Tool implementations
 
-async function delegateTask(args) {
-  const { task_id, task_type, description, context, output_format = 'markdown' } = args;
+/**
+ * @param {Object} args - delegate_task tool arguments
+ * @param {Object} [extras] - Internal fields stored on the task record (e.g. tasks.md source, delegating client)
+ */
+async function delegateTask(args, extras = {}) {
+  const {
+    task_id,
+    task_type,
+    description,
+    context,
+    output_schema,
+    max_validation_retries,
+    provider,
+    model,
+    max_tokens,
+    temperature,
+    system_prompt_append,
+    include_mission,
+    include_spec,
+    include_standards,
+    include_files,
+    context_token_budget,
+    depends_on = [],
+    force_refresh = false,
+    spec: requested_spec,
+    review,
+    require_review,
+    attachments = []
+  } = args;
 
   if (!task_id || !task_type || !description) {
     return {
@@ -56,187 +199,1639 @@ async function delegateTask(args) {
     };
   }
 
-  try {
-    // Add task to manager
-    const task = taskManager.addTask({
-      task_id,
-      task_type,
-      description,
-      context,
-      output_format
-    });
-
-    // Update status to in_progress
-    taskManager.updateTask(task_id, { status: 'in_progress' });
-
-    // Execute task via Claude API
-    const result = await claudeClient.executeTask(task);
-
-    // Update task with result
-    taskManager.updateTask(task_id, {
-      status: result.status,
-      content: result.content,
-      error: result.error,
-      metadata: result.metadata
-    });
-
-    // Store result to file if successful
-    if (result.status === 'completed') {
-      const filepath = await taskManager.storeResultInSpec(task_id, result.content);
-
-      return {
-        content: [{
-          type: "text",
-          text: `✅ Task completed successfully!
-
-**Task ID**: ${task_id}
-**Type**: ${task_type}
-**Status**: ${result.status}
+  // Pick up task-types.yml edits the file watcher hasn't seen yet
+  await taskTypes.refresh();
+  const typeDefinition = taskTypes.get(task_type);
+  if (!typeDefinition) {
+    return {
+      content: [{
+        type: "text",
+        text: `❌ Error: unknown task_type "${task_type}" (defined: ${taskTypes.names().join(', ')})`
+      }],
+      isError: true
+    };
+  }
 
-**Result stored at**: ${filepath}
+  // A schema implies JSON output; otherwise the task type's format applies
+  const output_format = args.output_format || (output_schema ? 'json' : typeDefinition.output_format || 'markdown');
+  const result_format = args.result_format || serverConfig.getResultSettings().format || (output_format === 'json' ? 'json' : 'md');
 
-**Usage**:
-- Input tokens: ${result.metadata.usage.input_tokens}
-- Output tokens: ${result.metadata.usage.output_tokens}
+  if (output_schema !== undefined) {
+    const schemaError = output_format !== 'json'
+      ? `output_schema requires output_format 'json' (got '${output_format}')`
+      : claudeClient.jsonValidator.checkSchema(output_schema);
 
-**Preview** (first 500 chars):
-${result.content.substring(0, 500)}${result.content.length > 500 ? '...' : ''}
-`
-        }]
-      };
-    } else {
+    if (schemaError) {
       return {
         content: [{
           type: "text",
-          text: `❌ Task failed: ${result.error}`
+          text: `❌ Error: invalid output_schema: ${schemaError}`
         }],
         isError: true
       };
     }
-  } catch (error) {
+  }
+
+  if (!RESULT_FORMATS.includes(result_format)) {
     return {
       content: [{
         type: "text",
-        text: `❌ Error delegating task: ${error.message}\n${error.stack}`
+        text: `❌ Error: result_format must be one of ${RESULT_FORMATS.join(', ')}`
       }],
       isError: true
     };
   }
-}
 
-async function getTaskResult(args) {
-  const { task_id } = args;
+  if (max_tokens !== undefined && (!Number.isInteger(max_tokens) || max_tokens <= 0)) {
+    return {
+      content: [{
+        type: "text",
+        text: "❌ Error: max_tokens must be a positive integer"
+      }],
+      isError: true
+    };
+  }
 
-  if (!task_id) {
+  // The upper bound depends on the provider and is checked once it is resolved
+  if (temperature !== undefined && (typeof temperature !== 'number' || !Number.isFinite(temperature) || temperature < 0)) {
     return {
       content: [{
         type: "text",
-        text: "❌ Error: task_id is required"
+        text: "❌ Error: temperature must be a non-negative number"
+      }],
+      isError: true
+    };
+  }
+
+  if (!Array.isArray(depends_on) || depends_on.some(id => typeof id !== 'string' || !id)) {
+    return {
+      content: [{
+        type: "text",
+        text: "❌ Error: depends_on must be an array of task IDs"
+      }],
+      isError: true
+    };
+  }
+
+  if (!Array.isArray(attachments) || attachments.some(path => typeof path !== 'string' || !path)) {
+    return {
+      content: [{
+        type: "text",
+        text: "❌ Error: attachments must be an array of project-relative file paths"
       }],
       isError: true
     };
   }
 
   try {
-    const task = taskManager.getTask(task_id);
+    const existing = taskManager.getTask(task_id);
+    if (existing && ACTIVE_STATUSES.includes(existing.status)) {
+      return {
+        content: [{
+          type: "text",
+          text: `❌ Task ${task_id} is already ${existing.status}`
+        }],
+        isError: true
+      };
+    }
 
-    if (!task) {
+    const dependencyError = checkDependencies(task_id, depends_on);
+    if (dependencyError) {
+      return dependencyError;
+    }
+
+    // Check attachments now so a bad path fails the call rather than the task;
+    // they are read again when the task runs
+    let attached = null;
+    if (attachments.length > 0) {
+      try {
+        attached = await attachmentLoader.load(attachments);
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `❌ Error: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+
+    // The spec is fixed at delegation time: results are stored in it and spend is attributed to it
+    let specChoice;
+    try {
+      specChoice = await taskManager.resolveSpec(requested_spec);
+    } catch (error) {
       return {
         content: [{
           type: "text",
-          text: `❌ Task ${task_id} not found`
+          text: `❌ Error: ${error.message}`
         }],
         isError: true
       };
     }
+    const spec = specChoice.name;
 
-    let resultText = `# Task Result\n\n`;
-    resultText += `**Task ID**: ${task_id}\n`;
-    resultText += `**Type**: ${task.task_type}\n`;
-    resultText += `**Description**: ${task.description}\n`;
-    resultText += `**Status**: ${task.status}\n`;
-    resultText += `**Created**: ${task.created_at}\n`;
-    resultText += `**Updated**: ${task.updated_at}\n\n`;
+    // Gather requested project documents up front so the caller sees what fit
+    let assembled = null;
+    if (include_mission || include_spec || include_standards || include_files?.length) {
+      const contextSettings = serverConfig.getContextSettings();
+      assembled = await contextBuilder.build({
+        include_mission,
+        include_spec,
+        spec_dir: specChoice.dir,
+        include_standards,
+        include_files,
+        token_budget: context_token_budget ?? contextSettings.token_budget,
+        max_files: contextSettings.max_files
+      });
+    }
 
-    if (task.status === 'completed') {
-      resultText += `**Result File**: ${task.result_filename || 'N/A'}\n\n`;
+    const settings = serverConfig.getTaskSettings(task_type, {
+      provider,
+      model,
+      max_tokens,
+      temperature,
+      system_prompt_append
+    }, taskTypes.getSettings(task_type));
 
-      // Include the actual content
-      if (task.content) {
-        resultText += `---\n\n${task.content}`;
-      } else {
-        // Try to read from file
-        const fileContent = await taskManager.getResult(task_id);
-        if (fileContent) {
-          resultText += `---\n\n${fileContent}`;
-        } else {
-          resultText += `\n*No content available*`;
-        }
+    const providerError = providers.check(settings.provider);
+    if (providerError) {
+      return {
+        content: [{
+          type: "text",
+          text: `❌ Error: ${providerError}`
+        }],
+        isError: true
+      };
+    }
+
+    const maxTemperature = providers.getMaxTemperature(settings.provider);
+    if (temperature !== undefined && maxTemperature !== null && temperature > maxTemperature) {
+      return {
+        content: [{
+          type: "text",
+          text: `❌ Error: temperature must be between 0 and ${maxTemperature} for provider ${settings.provider}`
+        }],
+        isError: true
+      };
+    }
+
+    // Identical delegations reuse a recent result instead of paying for it twice.
+    // Tasks with dependencies aren't cached: their prompt includes results that don't exist yet.
+    const cache_key = cacheSettings.enabled && depends_on.length === 0
+      ? taskManager.getCacheKey({
+        task_type,
+        description,
+        context,
+        assembled_context: assembled?.text,
+        provider: settings.provider,
+        model: settings.model,
+        output_format,
+        output_schema,
+        attachments: attached?.attachments
+      })
+      : undefined;
+
+    // require_review implies a review; without either flag the configured default applies
+    const verificationSettings = serverConfig.getVerificationSettings();
+    const requireReview = require_review ?? verificationSettings.require_review;
+    const verification = {
+      ...verificationSettings,
+      review: requireReview || (review ?? verificationSettings.review),
+      require_review: requireReview
+    };
+
+    // A reviewed delegation only reuses results that passed a review
+    const cachedTask = cache_key && !force_refresh
+      ? taskManager.findCachedTask(cache_key, cacheSettings.ttl_hours === null ? null : cacheSettings.ttl_hours * 3600 * 1000)
+      : null;
+    const cached = cachedTask && (!verification.review || cachedTask.metadata?.review?.verdict === 'pass')
+      ? cachedTask
+      : null;
+    const cachedResult = cached ? await taskManager.getResultContent(cached.task_id) : null;
+    // Read before the conversation of a re-delegated task is dropped below; it may be its own cache entry
+    const cachedMessages = cachedResult ? await taskManager.loadMessages(cached.task_id) : null;
+
+    if (!cachedResult) {
+      const budgetError = checkBudget(spec);
+      if (budgetError) {
+        return budgetError;
       }
-    } else if (task.status === 'failed') {
-      resultText += `**Error**: ${task.error}\n`;
-    } else {
-      resultText += `\n*Task is ${task.status}*`;
+    }
+
+    // A re-delegated task starts a new conversation; follow-ups must not continue the old one
+    if (existing) {
+      await taskManager.deleteMessages(task_id);
+    }
+
+    taskManager.addTask({
+      task_id,
+      task_type,
+      description,
+      context,
+      output_format,
+      result_format,
+      template: typeDefinition.template,
+      spec,
+      spec_rule: specChoice.rule,
+      output_schema,
+      max_validation_retries: output_format === 'json'
+        ? max_validation_retries ?? serverConfig.getJsonOutputSettings().max_validation_retries
+        : undefined,
+      settings,
+      verification,
+      attachments: attached?.attachments,
+      assembled_context: assembled?.text || undefined,
+      context_report: assembled ? {
+        tokens_used: assembled.tokens_used,
+        token_budget: assembled.token_budget,
+        sources: assembled.report
+      } : undefined,
+      depends_on: depends_on.length > 0 ? [...new Set(depends_on)] : undefined,
+      // Only results that were actually generated become cache entries
+      cache_key: cachedResult ? undefined : cache_key,
+      ...extras
+    });
+
+    if (cachedResult) {
+      const now = new Date().toISOString();
+
+      await finishTask(taskManager.getTask(task_id), {
+        status: 'completed',
+        content: cachedResult.content,
+        parsed: cachedResult.parsed,
+        attempts: [],
+        messages: cachedMessages,
+        metadata: {
+          ...cached.metadata,
+          settings,
+          usage: { input_tokens: 0, output_tokens: 0 },
+          cache_hit: true,
+          cached_from: cached.task_id,
+          elapsed_ms: 0,
+          completed_at: now
+        }
+      });
+
+      const reused = taskManager.getTask(task_id);
+      return {
+        content: [{
+          type: "text",
+          text: `♻️ Cached result reused!
+
+**Task ID**: ${task_id}
+**Type**: ${task_type}
+**Status**: ${reused.status}
+**Cached from**: ${cached.task_id} (completed ${cached.metadata?.completed_at || cached.updated_at})
+${formatSpec(reused, specChoice.warning)}**Result File**: ${reused.result_filepath || 'N/A'}
+
+An identical delegation (same type, description, context, model and output format) completed recently, so it wasn't run again. Use \`get_task_result\` to read it, or delegate with \`force_refresh: true\` to run it anew.
+`
+        }]
+      };
+    }
+
+    scheduleTask(task_id);
+
+    const queueStats = taskQueue.getStats();
+
+    let contextText = '';
+    if (assembled) {
+      contextText = `**Context**: ~${assembled.tokens_used} of ${assembled.token_budget} tokens\n`;
+      assembled.report.forEach(entry => {
+        const size = entry.tokens !== undefined ? ` (${entry.included_tokens}/${entry.tokens} tokens)` : '';
+        contextText += `- ${entry.source}: ${entry.status}${size}\n`;
+      });
+      contextText += `\n`;
     }
 
     return {
       content: [{
         type: "text",
-        text: resultText
+        text: `🚀 Task delegated!
+
+**Task ID**: ${task_id}
+**Type**: ${task_type}
+**Status**: ${taskManager.getTask(task_id).status}
+**Model**: ${settings.model} via ${settings.provider} (max_tokens ${settings.max_tokens}${settings.temperature !== null ? `, temperature ${settings.temperature}` : ''})
+${formatSpec(taskManager.getTask(task_id), specChoice.warning)}${formatDependencies(taskManager.getTask(task_id))}${formatAttachments(taskManager.getTask(task_id))}${verification.review ? `**Review**: ${verification.require_review ? 'required; the task stays in needs_revision until a review passes' : 'advisory'}\n` : ''}
+${contextText}**Queue**: ${queueStats.running} running, ${queueStats.queued} queued (concurrency ${queueStats.concurrency})
+
+The task runs in the background. Use \`get_task_result\` to check on it, or \`wait_for_tasks\` to block until it settles.
+`
       }]
     };
   } catch (error) {
     return {
       content: [{
         type: "text",
-        text: `❌ Error getting task result: ${error.message}`
+        text: `❌ Error delegating task: ${error.message}\n${error.stack}`
       }],
       isError: true
     };
   }
 }
 
-async function listTasks(args) {
-  const { status = 'all' } = args;
+/**
+ * Reject dependencies that are unknown, can no longer complete, or would form a cycle
+ * @returns {Object|null} - Tool error response, or null if the graph is valid
+ */
+function checkDependencies(task_id, depends_on) {
+  const error = (text) => ({
+    content: [{
+      type: "text",
+      text: `❌ Error: ${text}`
+    }],
+    isError: true
+  });
 
-  try {
-    const statusFilter = status === 'all' ? null : status;
-    const tasks = taskManager.getAllTasks(statusFilter);
-    const stats = taskManager.getStats();
+  const cycle = taskManager.findDependencyCycle(task_id, depends_on);
+  if (cycle) {
+    return error(`depends_on would create a cycle: ${cycle.join(' → ')}`);
+  }
 
-    let text = `# Delegated Tasks\n\n`;
-    text += `**Statistics**:\n`;
-    text += `- Total: ${stats.total}\n`;
-    text += `- Pending: ${stats.pending}\n`;
-    text += `- In Progress: ${stats.in_progress}\n`;
-    text += `- Completed: ${stats.completed}\n`;
-    text += `- Failed: ${stats.failed}\n\n`;
+  for (const id of depends_on) {
+    const dep = taskManager.getTask(id);
 
-    if (tasks.length === 0) {
-      text += `No tasks found${status !== 'all' ? ` with status: ${status}` : ''}.\n`;
-    } else {
-      text += `## Tasks${status !== 'all' ? ` (${status})` : ''}\n\n`;
+    if (!dep) {
+      return error(`unknown dependency ${id}; delegate it first`);
+    }
 
-      tasks.forEach(task => {
-        const statusIcon = {
-          pending: '⏳',
-          in_progress: '🔄',
-          completed: '✅',
-          failed: '❌'
-        }[task.status] || '❓';
+    if (dep.status === 'failed' || dep.status === 'cancelled') {
+      return error(`dependency ${id} is ${dep.status}; re-delegate it first`);
+    }
+  }
 
-        text += `${statusIcon} **${task.task_id}**\n`;
-        text += `   Type: ${task.task_type}\n`;
-        text += `   Description: ${task.description}\n`;
-        text += `   Status: ${task.status}\n`;
-        text += `   Created: ${task.created_at}\n`;
+  return null;
+}
+
+/**
+ * Queue a task, hold it until its dependencies complete, or fail it if one can't
+ */
+function scheduleTask(task_id) {
+  const task = taskManager.getTask(task_id);
+  const { waiting, blocked } = taskManager.getDependencyState(task);
+
+  if (blocked.length > 0) {
+    heldTasks.delete(task_id);
+
+    const dep = taskManager.getTask(blocked[0]);
+    taskManager.updateTask(task_id, {
+      status: 'failed',
+      error: `Skipped: dependency ${blocked[0]} ${dep ? dep.status : 'no longer exists'}`
+    });
+    return;
+  }
+
+  if (waiting.length > 0) {
+    heldTasks.add(task_id);
+    return;
+  }
+
+  heldTasks.delete(task_id);
+  taskQueue.enqueue(task_id);
+}
+
+// How resolveSpec chose a task's spec, for display
+const SPEC_RULES = {
+  explicit: 'spec argument',
+  active: 'active spec set with set_active_spec',
+  recent: 'most recently modified spec'
+};
+
+/**
+ * Format the spec a task's results are stored in, and the rule that chose it
+ */
+function formatSpec(task, warning = null) {
+  const line = task.spec
+    ? `**Spec**: ${task.spec}${SPEC_RULES[task.spec_rule] ? ` (${SPEC_RULES[task.spec_rule]})` : ''}\n`
+    : `**Spec**: none (results go to .agent-os/delegated-results)\n`;
+
+  return warning ? `${line}⚠️ ${warning}\n` : line;
+}
+
+/**
+ * One-line summary of a task's dependencies and their status
+ */
+function formatDependencies(task) {
+  if (!task.depends_on?.length) {
+    return '';
+  }
+
+  const deps = task.depends_on.map(id => `${id} (${taskManager.getTask(id)?.status || 'not_found'})`);
+  return `**Depends on**: ${deps.join(', ')}\n`;
+}
+
+/**
+ * One-line summary of a task's attachments
+ */
+function formatAttachments(task) {
+  if (!task.attachments?.length) {
+    return '';
+  }
+
+  const files = task.attachments.map(({ path, media_type, size_bytes }) => `${path} (${media_type}, ${formatBytes(size_bytes)})`);
+  return `**Attachments**: ${files.join(', ')}\n`;
+}
+
+/**
+ * Render the results of a task's dependencies as prior context for its prompt
+ */
+async function buildDependencyContext(task) {
+  if (!task.depends_on?.length) {
+    return undefined;
+  }
+
+  let text = '# Prerequisite Task Results\n\n';
+  text += 'These delegated tasks were completed before this one. Build on their results.\n\n';
+
+  for (const id of task.depends_on) {
+    const dep = taskManager.getTask(id);
+    const parsed = await taskManager.getParsedResult(id);
+    const body = parsed !== undefined
+      ? `\`\`\`json\n${JSON.stringify(parsed, null, 2)}\n\`\`\``
+      : (await taskManager.getResultContent(id))?.content || '*No content available*';
+
+    text += `## ${id} (${dep.task_type})\n\n`;
+    text += `**Task**: ${dep.description}\n\n`;
+    text += `${body.trim()}\n\n`;
+  }
+
+  return text.trimEnd();
+}
+
+/**
+ * Refuse new work once a configured spend cap is reached
+ * @returns {Object|null} - Tool error response, or null if within budget
+ */
+function checkBudget(spec) {
+  if (!usageSettings.track) {
+    return null;
+  }
+
+  const reason = taskManager.usageLedger.checkBudget(usageSettings.budget, spec);
+  if (!reason) {
+    return null;
+  }
+
+  return {
+    content: [{
+      type: "text",
+      text: `💸 Not delegating: ${reason}. Raise chat_claude.budget in config.yml or wait for the budget to reset. See \`usage_report\` for details.`
+    }],
+    isError: true
+  };
+}
+
+/**
+ * Execute a queued task (runs inside the task queue)
+ */
+async function runTask(task_id) {
+  const task = taskManager.getTask(task_id);
+
+  // Cancelled or removed while waiting in the queue
+  if (!task || task.status !== 'pending') {
+    return;
+  }
+
+  const controller = new AbortController();
+  runningControllers.set(task_id, controller);
+  const isCancelled = () => taskManager.getTask(task_id)?.status === 'cancelled';
+
+  try {
+    // Update status to in_progress
+    taskManager.updateTask(task_id, { status: 'in_progress' });
+
+    // Attachments are read afresh; the record describes the files as they were sent
+    const attached = task.attachments?.length
+      ? await attachmentLoader.load(task.attachments.map(({ path }) => path))
+      : null;
+    if (attached) {
+      taskManager.updateTask(task_id, { attachments: attached.attachments });
+    }
+
+    // Execute task via Claude API, with the results of any dependencies as prior context.
+    // Follow-ups continue the conversation stored by the previous run.
+    const result = await claudeClient.executeTask({
+      ...task,
+      messages: task.follow_up_message ? await taskManager.loadMessages(task_id) : undefined,
+      attachments: attached?.attachments,
+      attachment_blocks: attached?.blocks,
+      dependency_context: await buildDependencyContext(task)
+    }, {
+      signal: controller.signal,
+      onProgress: ({ content, output_tokens, elapsed_ms }) => {
+        if (isCancelled()) return;
+
+        taskManager.updateTask(task_id, {
+          partial_content: content,
+          progress: { output_tokens, elapsed_ms }
+        }, { persist: false });
+      },
+      onAttempt: (attempts) => {
+        if (isCancelled()) return;
+
+        taskManager.updateTask(task_id, {
+          attempts: [...attempts],
+          partial_content: undefined,
+          progress: undefined
+        });
+      }
+    });
+
+    if (result.metadata?.usage) {
+      taskManager.recordUsage(task_id, {
+        model: result.metadata.model,
+        usage: result.metadata.usage
+      });
+    }
+
+    // Cancelled while the request was running; keep the cancelled record as-is
+    if (isCancelled()) {
+      return;
+    }
+
+    await finishTask(task, result);
+  } catch (error) {
+    if (!isCancelled()) {
+      taskManager.updateTask(task_id, {
+        status: 'failed',
+        error: error.message
+      });
+    }
+  } finally {
+    runningControllers.delete(task_id);
+  }
+}
+
+/**
+ * Store the result of a finished run and settle the task
+ * @param {Object} task - Task record as it was when the run started
+ * @param {Object} result - Result from ClaudeAPIClient.executeTask, or a cached result
+ */
+async function finishTask(task, result) {
+  const { task_id } = task;
+  const isCancelled = () => taskManager.getTask(task_id)?.status === 'cancelled';
+
+  // The conversation is kept for follow-ups in its own file, not on the task record
+  if (result.messages?.length) {
+    await taskManager.saveMessages(task_id, result.messages);
+  }
+
+  // Store result to file if successful, before the status flips so that
+  // anyone waiting on the task sees the result path as soon as it settles.
+  // Results that failed a required review are stored too, so they can be read and revised.
+  if (result.status === 'completed' || result.status === 'needs_revision') {
+    taskManager.updateTask(task_id, {
+      content: result.content,
+      parsed_result: result.parsed,
+      attempts: result.attempts,
+      metadata: result.metadata
+    });
+
+    // JSON tasks store the parsed value rather than the raw text
+    const stored = task.output_format === 'json' ? result.parsed : result.content;
+
+    if ((task.version || 1) > 1) {
+      await taskManager.storeResultVersion(task_id, stored);
+    } else {
+      await taskManager.storeResultInSpec(task_id, stored, task.output_filename || null);
+    }
+
+    if (isCancelled()) {
+      return;
+    }
+
+    if (task.source?.tasks_file && result.status === 'completed') {
+      await tickTasksFileItem(task_id);
+    }
+  }
+
+  // Update task with result
+  taskManager.updateTask(task_id, {
+    status: result.status,
+    content: result.content,
+    partial_content: undefined,
+    progress: undefined,
+    error: result.error,
+    attempts: result.attempts,
+    follow_up_message: result.status === 'completed' ? undefined : task.follow_up_message,
+    metadata: result.metadata
+  });
+}
+
+/**
+ * Tick the tasks.md checkbox a task was delegated from and link its result
+ */
+async function tickTasksFileItem(task_id) {
+  const { source, result_filepath } = taskManager.getTask(task_id);
+
+  try {
+    const link = relative(dirname(source.tasks_file), result_filepath).split(sep).join('/');
+    await tasksFileUpdater.markItemDone(source.tasks_file, source.item_text, link);
+  } catch (error) {
+    console.error(`Error updating ${source.tasks_file} for task ${task_id}:`, error);
+  }
+}
+
+/**
+ * @param {Object} args - delegate_from_tasks_file tool arguments
+ * @param {string} [client] - Client the delegated tasks are attributed to
+ */
+async function delegateFromTasksFile(args, client) {
+  const { tasks_file, spec, include_spec = true, include_mission = false, dry_run = false } = args;
+
+  try {
+    await taskTypes.refresh();
+
+    let path;
+    let specChoice = null;
+    if (tasks_file) {
+      path = resolve(PROJECT_ROOT, tasks_file);
+      if (relative(PROJECT_ROOT, path).startsWith('..')) {
+        return {
+          content: [{
+            type: "text",
+            text: `❌ Error: tasks_file must be inside the project root`
+          }],
+          isError: true
+        };
+      }
+    } else {
+      specChoice = await taskManager.resolveSpec(spec);
+      path = specChoice.dir ? join(specChoice.dir, 'tasks.md') : null;
+    }
+
+    if (!path || !existsSync(path)) {
+      return {
+        content: [{
+          type: "text",
+          text: `❌ No tasks.md found${path ? ` at ${path}` : ' (no spec directory under .agent-os/specs)'}${specChoice?.name ? ` (${specChoice.name} is the ${SPEC_RULES[specChoice.rule]}; pass spec or tasks_file to pick another)` : ''}`
+        }],
+        isError: true
+      };
+    }
+
+    // Tasks from a spec's tasks.md belong to that spec
+    const specName = basename(dirname(path));
+    const taskSpec = dirname(dirname(path)) === taskManager.specsDir ? specName : spec;
+
+    const sections = parseTasksFile(await readFile(path, 'utf8'), specName);
+    const lines = [];
+    let delegatedCount = 0;
+
+    for (const section of sections) {
+      const pending = section.items.filter(item => !item.checked);
+
+      for (const item of pending) {
+        if (!taskTypes.has(item.task_type)) {
+          lines.push(`⚠️ ${item.text}: skipped, ${item.task_type ? `unknown [type:${item.task_type}]` : 'missing [type:TYPE]'}`);
+          continue;
+        }
+
+        const existing = taskManager.getTask(item.task_id);
+        if (existing && !['failed', 'cancelled'].includes(existing.status)) {
+          lines.push(`⏭️ ${item.task_id}: already ${existing.status}`);
+          continue;
+        }
+
+        // [output:name.md] names the result; when several items share it each gets a suffix
+        let output_filename;
+        if (item.output) {
+          const ext = extname(item.output) || '.md';
+          const shared = pending.filter(other => other.output === item.output).length > 1;
+          output_filename = shared
+            ? `${basename(item.output, ext)}-${item.task_id}${ext}`
+            : `${basename(item.output, ext)}${ext}`;
+        }
+
+        if (dry_run) {
+          lines.push(`📝 ${item.task_id} [${item.task_type}]: ${item.text}${output_filename ? ` → ${output_filename}` : ''}`);
+          continue;
+        }
+
+        const response = await delegateTask({
+          task_id: item.task_id,
+          task_type: item.task_type,
+          description: item.text,
+          context: section.heading
+            ? `This task is part of the "${section.heading}" section of spec ${specName}.`
+            : `This task is part of spec ${specName}.`,
+          spec: taskSpec,
+          include_spec,
+          include_mission,
+          result_format: RESULT_FORMATS.find(format => output_filename?.endsWith(`.${format}`))
+        }, {
+          source: { tasks_file: path, item_text: item.text },
+          output_filename,
+          client
+        });
+
+        if (response.isError) {
+          lines.push(`❌ ${item.task_id}: ${response.content[0].text.replace(/^❌ (Error: )?/, '')}`);
+        } else {
+          delegatedCount++;
+          lines.push(`🚀 ${item.task_id} [${item.task_type}]: ${item.text}`);
+        }
+      }
+    }
+
+    let text = dry_run ? `# Delegation Plan (dry run)\n\n` : `# Batch Delegation\n\n`;
+    text += `**Tasks file**: ${path}\n`;
+    if (specChoice) {
+      text += `**Spec**: ${specChoice.name} (${SPEC_RULES[specChoice.rule]})\n`;
+    }
+    text += `**Sections with delegated items**: ${sections.length}\n`;
+    if (!dry_run) {
+      text += `**Delegated**: ${delegatedCount}\n`;
+    }
+    text += `\n${lines.length > 0 ? lines.join('\n') : 'No unchecked [delegate:chat-claude] items.'}\n`;
+
+    if (delegatedCount > 0) {
+      text += `\nCheckboxes are ticked and linked to their result files as tasks complete. Use \`wait_for_tasks\` with the IDs above to block on them.\n`;
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text
+      }]
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `❌ Error delegating from tasks file: ${error.message}`
+      }],
+      isError: true
+    };
+  }
+}
+
+async function setActiveSpec(args) {
+  const { spec, clear = false } = args;
+
+  try {
+    if (spec && clear) {
+      return {
+        content: [{
+          type: "text",
+          text: "❌ Error: pass either spec or clear, not both"
+        }],
+        isError: true
+      };
+    }
+
+    if (spec || clear) {
+      await taskManager.setActiveSpec(clear ? null : spec);
+    }
+
+    const choice = await taskManager.resolveSpec();
+    const specs = await taskManager.listSpecs();
+
+    let text = spec ? `📌 Active spec set to ${spec}\n\n` : clear ? `📌 Active spec cleared\n\n` : `# Active Spec\n\n`;
+    text += choice.name
+      ? `**Current spec**: ${choice.name} (${SPEC_RULES[choice.rule]})\n`
+      : `**Current spec**: none (results go to .agent-os/delegated-results)\n`;
+    if (choice.warning) {
+      text += `⚠️ ${choice.warning}\n`;
+    }
+    if (specs.length > 0) {
+      text += `**Available specs**: ${specs.join(', ')}\n`;
+    }
+    text += `\nTasks delegated without a \`spec\` argument are stored in the current spec.\n`;
+
+    return {
+      content: [{
+        type: "text",
+        text
+      }]
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `❌ Error: ${error.message}`
+      }],
+      isError: true
+    };
+  }
+}
+
+async function getTaskResult(args) {
+  const { task_id, version } = args;
+
+  if (!task_id) {
+    return {
+      content: [{
+        type: "text",
+        text: "❌ Error: task_id is required"
+      }],
+      isError: true
+    };
+  }
+
+  try {
+    const task = taskManager.getTask(task_id);
+
+    if (!task) {
+      return {
+        content: [{
+          type: "text",
+          text: `❌ Task ${task_id} not found`
+        }],
+        isError: true
+      };
+    }
+
+    let resultText = `# Task Result\n\n`;
+    let parsedJson = null;
+    resultText += `**Task ID**: ${task_id}\n`;
+    resultText += `**Type**: ${task.task_type}\n`;
+    resultText += `**Description**: ${task.description}\n`;
+    resultText += `**Status**: ${task.status}\n`;
+    resultText += `**Created**: ${task.created_at}\n`;
+    resultText += `**Updated**: ${task.updated_at}\n`;
+
+    if (task.client) {
+      resultText += `**Client**: ${task.client}\n`;
+    }
+
+    const model = task.metadata?.model || task.settings?.model;
+    if (model) {
+      resultText += `**Model**: ${model}${task.settings?.provider ? ` via ${task.settings.provider}` : ''}\n`;
+    }
+
+    resultText += formatSpec(task);
+    resultText += formatDependencies(task);
+    resultText += formatAttachments(task);
+
+    if (task.metadata?.cache_hit) {
+      resultText += `**Cache hit**: reused the result of ${task.metadata.cached_from}\n`;
+    }
+
+    if (task.metadata?.continuations) {
+      resultText += `**Continued**: ${task.metadata.continuations} time(s) after reaching max_tokens${task.metadata.truncated ? '; ⚠️ still cut off, raise max_tokens or chat_claude.verification.max_continuations' : ''}\n`;
+    } else if (task.metadata?.truncated) {
+      resultText += `**Truncated**: ⚠️ output stopped at max_tokens\n`;
+    }
+
+    if (task.metadata?.review) {
+      const { verdict, reasons, model, round } = task.metadata.review;
+      resultText += `**Review**: ${verdict === 'pass' ? '✅ pass' : '❌ fail'} (${model}, round ${round})\n`;
+      reasons.forEach(reason => {
+        resultText += `- ${reason}\n`;
+      });
+    }
+
+    if (task.versions?.length > 1) {
+      resultText += `**Versions**: ${task.versions.map(v => `v${v.version} (${v.filename})`).join(', ')}\n`;
+    }
+
+    // Only worth showing when something went wrong along the way
+    if (task.attempts?.some(attempt => attempt.outcome === 'error')) {
+      resultText += `**Attempts**:\n`;
+      task.attempts.forEach(attempt => {
+        if (attempt.outcome === 'success') {
+          resultText += `${attempt.attempt}. ${attempt.started_at}: succeeded\n`;
+        } else {
+          const next = attempt.delay_ms !== null ? `retried after ${attempt.delay_ms}ms` : 'not retried';
+          resultText += `${attempt.attempt}. ${attempt.started_at}: ${attempt.reason} - ${attempt.error} (${next})\n`;
+        }
+      });
+    }
+
+    resultText += `\n`;
+
+    if (version !== undefined) {
+      const fileContent = await taskManager.getResultVersion(task_id, version);
+      resultText += fileContent
+        ? `**Showing version**: ${version}\n\n---\n\n${fileContent}`
+        : `*Version ${version} not found*`;
+    } else if (task.status === 'completed' || task.status === 'needs_revision') {
+      resultText += `**Result File**: ${task.result_filename || 'N/A'}\n`;
+
+      if (task.metadata?.usage) {
+        resultText += `**Usage**: ${task.metadata.usage.input_tokens} input / ${task.metadata.usage.output_tokens} output tokens\n`;
+      }
+
+      if (task.status === 'needs_revision') {
+        resultText += `\n*The result failed its required review. Use \`follow_up_task\` to ask for a revision that addresses the reasons above; dependent tasks wait until a revision passes.*\n`;
+      }
+
+      resultText += `\n`;
+
+      // Include the actual content
+      const parsed = await taskManager.getParsedResult(task_id);
+      if (parsed !== undefined) {
+        parsedJson = JSON.stringify(parsed, null, 2);
+        resultText += `---\n\n\`\`\`json\n${parsedJson}\n\`\`\``;
+      } else if (task.content) {
+        resultText += `---\n\n${task.content}`;
+      } else {
+        // Try to read from file
+        const stored = await taskManager.getResultContent(task_id);
+        if (stored) {
+          resultText += `---\n\n${stored.content}`;
+        } else {
+          resultText += `\n*No content available*`;
+        }
+      }
+    } else if (task.status === 'failed') {
+      resultText += `**Error**: ${task.error}\n`;
+
+      if (task.metadata?.validation && !task.metadata.validation.valid) {
+        resultText += `\n**Last output** (failed validation):\n\n${task.content}\n`;
+      }
+    } else if (task.status === 'in_progress' && task.partial_content) {
+      const elapsedSeconds = Math.round(task.progress.elapsed_ms / 1000);
+
+      resultText += `**Progress**: ~${task.progress.output_tokens} tokens generated in ${elapsedSeconds}s\n\n`;
+      resultText += `*Task is still running; partial output so far:*\n\n`;
+      resultText += `---\n\n${task.partial_content}`;
+    } else {
+      resultText += `\n*Task is ${task.status}*`;
+
+      if (ACTIVE_STATUSES.includes(task.status)) {
+        resultText += `\n\nUse \`wait_for_tasks\` to block until it settles.`;
+      }
+    }
+
+    const content = [{
+      type: "text",
+      text: resultText
+    }];
+
+    // Machine-readable copy of a JSON result, so callers can parse it directly
+    if (parsedJson) {
+      content.push({
+        type: "text",
+        text: parsedJson
+      });
+    }
+
+    return { content };
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `❌ Error getting task result: ${error.message}`
+      }],
+      isError: true
+    };
+  }
+}
+
+async function listTasks(args) {
+  const { status = 'all', client } = args;
+
+  try {
+    const statusFilter = status === 'all' ? null : status;
+    const tasks = taskManager.getAllTasks(statusFilter)
+      .filter(task => !client || task.client === client);
+    const stats = taskManager.getStats();
+
+    let text = `# Delegated Tasks\n\n`;
+    text += `**Statistics**:\n`;
+    text += `- Total: ${stats.total}\n`;
+    text += `- Pending: ${stats.pending}\n`;
+    text += `- In Progress: ${stats.in_progress}\n`;
+    text += `- Completed: ${stats.completed}\n`;
+    text += `- Needs Revision: ${stats.needs_revision}\n`;
+    text += `- Failed: ${stats.failed}\n`;
+    text += `- Cancelled: ${stats.cancelled}\n\n`;
+
+    if (tasks.length === 0) {
+      text += `No tasks found${status !== 'all' ? ` with status: ${status}` : ''}${client ? ` from client: ${client}` : ''}.\n`;
+    } else {
+      const filters = [status !== 'all' && status, client && `client: ${client}`].filter(Boolean);
+      text += `## Tasks${filters.length ? ` (${filters.join(', ')})` : ''}\n\n`;
+
+      tasks.forEach(task => {
+        const statusIcon = {
+          pending: '⏳',
+          in_progress: '🔄',
+          completed: '✅',
+          needs_revision: '📝',
+          failed: '❌',
+          cancelled: '🚫'
+        }[task.status] || '❓';
+
+        text += `${statusIcon} **${task.task_id}**\n`;
+        text += `   Type: ${task.task_type}\n`;
+        text += `   Description: ${task.description}\n`;
+        text += `   Status: ${task.status}\n`;
+        text += `   Created: ${task.created_at}\n`;
+
+        if (task.client) {
+          text += `   Client: ${task.client}\n`;
+        }
+
+        if (task.depends_on?.length) {
+          text += `   Depends on: ${task.depends_on.join(', ')}\n`;
+        }
+
+        if (task.metadata?.cache_hit) {
+          text += `   Cached from: ${task.metadata.cached_from}\n`;
+        }
+
+        if (task.result_filename) {
+          text += `   Result: ${task.result_filename}\n`;
+        }
+
+        text += `\n`;
+      });
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text
+      }]
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `❌ Error listing tasks: ${error.message}`
+      }],
+      isError: true
+    };
+  }
+}
+
+async function followUpTask(args) {
+  const { task_id, message } = args;
+
+  if (!task_id || !message) {
+    return {
+      content: [{
+        type: "text",
+        text: "❌ Error: task_id and message are required"
+      }],
+      isError: true
+    };
+  }
+
+  try {
+    const task = taskManager.getTask(task_id);
+
+    if (!task) {
+      return {
+        content: [{
+          type: "text",
+          text: `❌ Task ${task_id} not found`
+        }],
+        isError: true
+      };
+    }
+
+    if (ACTIVE_STATUSES.includes(task.status)) {
+      return {
+        content: [{
+          type: "text",
+          text: `❌ Task ${task_id} is still ${task.status}; wait for it to settle first`
+        }],
+        isError: true
+      };
+    }
+
+    const messages = await taskManager.loadMessages(task_id);
+    if (!messages?.length) {
+      return {
+        content: [{
+          type: "text",
+          text: `❌ Task ${task_id} has no conversation history to continue (it never completed in this server)`
+        }],
+        isError: true
+      };
+    }
+
+    const budgetError = checkBudget(task.spec);
+    if (budgetError) {
+      return budgetError;
+    }
+
+    // The revision number only advances once per successful version
+    const version = (task.versions?.length || 1) + 1;
+
+    // A revision no longer answers the original delegation, so it leaves the cache
+    taskManager.updateTask(task_id, {
+      status: 'pending',
+      version,
+      follow_up_message: message,
+      error: undefined,
+      cache_key: undefined
+    });
+    taskQueue.enqueue(task_id);
+
+    return {
+      content: [{
+        type: "text",
+        text: `🚀 Follow-up queued!
+
+**Task ID**: ${task_id}
+**Version**: ${version}
+**Turns so far**: ${messages.length}
+
+The revision will be stored as version ${version} next to the original result. Use \`wait_for_tasks\` to block until it settles.
+`
+      }]
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `❌ Error queuing follow-up: ${error.message}`
+      }],
+      isError: true
+    };
+  }
+}
+
+async function waitForTasks(args) {
+  const { task_ids, timeout_seconds = 300 } = args;
+
+  if (!Array.isArray(task_ids) || task_ids.length === 0) {
+    return {
+      content: [{
+        type: "text",
+        text: "❌ Error: task_ids must be a non-empty array"
+      }],
+      isError: true
+    };
+  }
+
+  if (typeof timeout_seconds !== 'number' || !Number.isFinite(timeout_seconds) || timeout_seconds < 0) {
+    return {
+      content: [{
+        type: "text",
+        text: "❌ Error: timeout_seconds must be a non-negative number"
+      }],
+      isError: true
+    };
+  }
+
+  try {
+    const timeoutMs = Math.min(timeout_seconds, MAX_WAIT_SECONDS) * 1000;
+    const { timed_out, tasks } = await taskManager.waitForTasks(task_ids, timeoutMs);
+
+    let text = timed_out
+      ? `⏱️ Timed out after ${timeoutMs / 1000}s; some tasks are still running\n\n`
+      : `✅ All ${tasks.length} task(s) settled\n\n`;
+
+    tasks.forEach(task => {
+      text += `- **${task.task_id}**: ${task.status}`;
+      if (task.result_filepath) {
+        text += ` → ${task.result_filepath}`;
+      } else if (task.error) {
+        text += ` (${task.error})`;
+      }
+      text += `\n`;
+    });
+
+    return {
+      content: [{
+        type: "text",
+        text
+      }]
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `❌ Error waiting for tasks: ${error.message}`
+      }],
+      isError: true
+    };
+  }
+}
+
+async function cancelTask(args) {
+  const { task_id } = args;
+
+  if (!task_id) {
+    return {
+      content: [{
+        type: "text",
+        text: "❌ Error: task_id is required"
+      }],
+      isError: true
+    };
+  }
+
+  try {
+    const task = taskManager.getTask(task_id);
+
+    if (!task) {
+      return {
+        content: [{
+          type: "text",
+          text: `❌ Task ${task_id} not found`
+      }],
+        isError: true
+      };
+    }
+
+    if (SETTLED_STATUSES.includes(task.status)) {
+      return {
+        content: [{
+          type: "text",
+          text: `⚠️ Cannot cancel task ${task_id}: already ${task.status}`
+        }]
+      };
+    }
+
+    // Drop it from the queue if it hasn't started yet
+    taskQueue.remove(task_id);
+
+    // Mark as cancelled
+    taskManager.updateTask(task_id, {
+      status: 'cancelled',
+      cancelled_at: new Date().toISOString()
+    });
+
+    // Abort the API request if the task is already running
+    runningControllers.get(task_id)?.abort();
+
+    return {
+      content: [{
+        type: "text",
+        text: `✅ Task ${task_id} has been cancelled`
+      }]
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `❌ Error cancelling task: ${error.message}`
+      }],
+      isError: true
+    };
+  }
+}
+
+async function usageReport(args) {
+  const { since, until } = args;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  if ((since && !datePattern.test(since)) || (until && !datePattern.test(until))) {
+    return {
+      content: [{
+        type: "text",
+        text: "❌ Error: since and until must be dates in YYYY-MM-DD format"
+      }],
+      isError: true
+    };
+  }
+
+  try {
+    const ledger = taskManager.usageLedger;
+    const report = ledger.getReport({ since, until });
+    const usd = (value) => `$${value.toFixed(4)}`;
+
+    const formatRows = (rows) => rows.length === 0
+      ? `_No usage recorded_\n`
+      : rows.map(row => `- **${row.key}**: ${usd(row.cost_usd)} · ${row.input_tokens} in / ${row.output_tokens} out · ${row.tasks.size} task(s), ${row.runs} run(s)`).join('\n') + '\n';
+
+    let text = `# Usage Report\n\n`;
+
+    if (!usageSettings.track) {
+      text += `⚠️ Usage tracking is disabled (context.track_token_usage: false); only earlier entries are shown.\n\n`;
+    }
+
+    if (since || until) {
+      text += `**Range**: ${since || 'beginning'} to ${until || 'today'}\n\n`;
+    }
+
+    text += `**Total**: ${usd(report.total.cost_usd)} · ${report.total.input_tokens} input / ${report.total.output_tokens} output tokens · ${report.total.tasks.size} task(s), ${report.total.runs} run(s)\n`;
+
+    if (report.total.unpriced_runs > 0) {
+      text += `*${report.total.unpriced_runs} run(s) used models without a price in chat_claude.pricing and are counted as $0*\n`;
+    }
+
+    const { daily_usd, per_spec_usd } = usageSettings.budget;
+    if (daily_usd != null || per_spec_usd != null) {
+      text += `\n## Budget\n\n`;
+      if (daily_usd != null) {
+        text += `- Today: ${usd(ledger.getDailySpend())} of $${daily_usd.toFixed(2)}\n`;
+      }
+      if (per_spec_usd != null) {
+        text += `- Per spec cap: $${per_spec_usd.toFixed(2)}\n`;
+      }
+    }
+
+    text += `\n## By Task Type\n\n${formatRows(report.by_task_type)}`;
+    text += `\n## By Spec\n\n${formatRows(report.by_spec)}`;
+    text += `\n## By Day\n\n${formatRows(report.by_day)}`;
+    text += `\n## By Model\n\n${formatRows(report.by_model)}`;
+
+    return {
+      content: [{
+        type: "text",
+        text
+      }]
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `❌ Error building usage report: ${error.message}`
+      }],
+      isError: true
+    };
+  }
+}
+
+async function searchResults(args) {
+  const { query, task_type, spec, since, until, limit = 10 } = args;
+
+  if (!query || !query.trim()) {
+    return {
+      content: [{
+        type: "text",
+        text: "❌ Error: query is required"
+      }],
+      isError: true
+    };
+  }
+
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if ((since && !datePattern.test(since)) || (until && !datePattern.test(until))) {
+    return {
+      content: [{
+        type: "text",
+        text: "❌ Error: since and until must be dates in YYYY-MM-DD form"
+      }],
+      isError: true
+    };
+  }
+
+  try {
+    const { total_indexed, matches } = await resultIndex.search(query, {
+      task_type,
+      spec,
+      since,
+      until,
+      limit: Math.min(Math.max(1, limit), 50)
+    });
+
+    const filters = [
+      task_type && `type ${task_type}`,
+      spec && `spec ${spec}`,
+      since && `since ${since}`,
+      until && `until ${until}`
+    ].filter(Boolean);
+
+    let text = `# Search Results\n\n`;
+    text += `**Query**: ${query}\n`;
+    if (filters.length > 0) {
+      text += `**Filters**: ${filters.join(', ')}\n`;
+    }
+    text += `**Matches**: ${matches.length} (${total_indexed} result file(s) indexed)\n\n`;
+
+    if (matches.length === 0) {
+      text += `No stored results match. Try fewer or broader keywords.\n`;
+    }
+
+    matches.forEach((match, index) => {
+      text += `## ${index + 1}. ${match.task_id} (${match.task_type})\n\n`;
+      text += `**Task**: ${match.description}\n`;
+      text += `**File**: ${relative(PROJECT_ROOT, match.filepath).split(sep).join('/')}\n`;
+      text += `**Spec**: ${match.spec || 'none'} · **Completed**: ${match.completed_at || 'unknown'}`;
+      text += `${match.version > 1 ? ` · **Version**: ${match.version}` : ''} · **Score**: ${match.score.toFixed(2)}\n\n`;
+
+      match.snippets.forEach(snippet => {
+        text += `> ${snippet}\n\n`;
+      });
+    });
+
+    return {
+      content: [{
+        type: "text",
+        text
+      }]
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `❌ Error searching results: ${error.message}`
+      }],
+      isError: true
+    };
+  }
+}
+
+async function clearCache(args) {
+  const { task_id, task_type } = args;
+
+  try {
+    const cleared = taskManager.clearCache({ task_id, task_type });
+    const scope = [task_id && `task ${task_id}`, task_type && `type ${task_type}`].filter(Boolean).join(', ');
+
+    return {
+      content: [{
+        type: "text",
+        text: `🧹 Cleared ${cleared} cached result(s)${scope ? ` for ${scope}` : ''}.\n\nResult files are kept; matching delegations will run again.`
+      }]
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `❌ Error clearing cache: ${error.message}`
+      }],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Reason a settled task can't be removed yet, or null
+ * Tasks still waiting on it would otherwise lose their prerequisite
+ */
+function checkRemovable(task) {
+  if (!SETTLED_STATUSES.includes(task.status)) {
+    return `task is ${task.status}; cancel it first`;
+  }
+
+  const dependents = taskManager.getAllTasks()
+    .filter(other => ACTIVE_STATUSES.includes(other.status) && other.depends_on?.includes(task.task_id))
+    .map(other => other.task_id);
+
+  return dependents.length > 0 ? `${dependents.join(', ')} depend(s) on it` : null;
+}
+
+/**
+ * Format the files a delete or archive touched (or would touch) as project-relative paths
+ */
+function formatRemovedFiles(files) {
+  const display = (path) => relative(PROJECT_ROOT, path).split(sep).join('/');
+
+  return files
+    .map(file => typeof file === 'string' ? `  - ${display(file)}\n` : `  - ${display(file.from)} → ${display(file.to)}\n`)
+    .join('');
+}
+
+/**
+ * Delete or archive a list of tasks, or describe what would happen in a dry run
+ * @returns {Promise<string>} - One 🗑️/📦 entry per task, plus any errors
+ */
+async function removeTasks(entries, { archive, dry_run }) {
+  const icon = archive ? '📦' : '🗑️';
+  let text = '';
+
+  for (const { task, note } of entries) {
+    try {
+      let files;
+      if (dry_run) {
+        files = archive ? taskManager.getArchivePlan(task) : taskManager.getResultFiles(task);
+      } else {
+        files = (archive ? await taskManager.archiveTask(task.task_id) : await taskManager.deleteTask(task.task_id)).files;
+      }
+
+      text += `${icon} ${task.task_id} (${task.task_type}, ${task.status}${note ? `, ${note}` : ''}): ${task.description.substring(0, 80)}${task.description.length > 80 ? '...' : ''}\n`;
+      text += files.length > 0 ? formatRemovedFiles(files) : `  - no result files\n`;
+    } catch (error) {
+      text += `❌ ${task.task_id}: ${error.message}\n`;
+    }
+  }
+
+  return text;
+}
+
+async function deleteTask(args) {
+  const { task_id, keep_files = false, dry_run = false } = args;
+
+  if (!task_id) {
+    return {
+      content: [{
+        type: "text",
+        text: "❌ Error: task_id is required"
+      }],
+      isError: true
+    };
+  }
+
+  const task = taskManager.getTask(task_id);
+  if (!task) {
+    return {
+      content: [{
+        type: "text",
+        text: `❌ Task ${task_id} not found`
+      }],
+      isError: true
+    };
+  }
+
+  const reason = checkRemovable(task);
+  if (reason) {
+    return {
+      content: [{
+        type: "text",
+        text: `❌ Cannot delete task ${task_id}: ${reason}`
+      }],
+      isError: true
+    };
+  }
+
+  try {
+    const files = keep_files ? [] : taskManager.getResultFiles(task);
+
+    if (!dry_run) {
+      await taskManager.deleteTask(task_id, { keepFiles: keep_files });
+    }
+
+    let text = dry_run ? `🔍 Dry run: task ${task_id} would be deleted\n\n` : `🗑️ Task ${task_id} deleted\n\n`;
+    if (files.length > 0) {
+      text += `**${dry_run ? 'Files to remove' : 'Removed files'}**:\n${formatRemovedFiles(files)}`;
+    } else if (keep_files) {
+      text += `Result files were kept and will be recovered as a task on the next server start.\n`;
+    } else {
+      text += `No result files on disk.\n`;
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text
+      }]
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `❌ Error deleting task: ${error.message}`
+      }],
+      isError: true
+    };
+  }
+}
+
+async function archiveTasks(args) {
+  const { task_ids, status, older_than_days, task_type, spec, dry_run = false } = args;
+
+  if (!task_ids?.length && !status && older_than_days == null && !task_type && !spec) {
+    return {
+      content: [{
+        type: "text",
+        text: "❌ Error: give task_ids or at least one of status, older_than_days, task_type or spec"
+      }],
+      isError: true
+    };
+  }
+
+  if (status && !SETTLED_STATUSES.includes(status)) {
+    return {
+      content: [{
+        type: "text",
+        text: `❌ Error: status must be one of ${SETTLED_STATUSES.join(', ')}`
+      }],
+      isError: true
+    };
+  }
+
+  try {
+    const unknown = (task_ids || []).filter(id => !taskManager.getTask(id));
+    const candidates = task_ids?.length
+      ? task_ids.map(id => taskManager.getTask(id)).filter(Boolean)
+      : taskManager.getAllTasks();
+
+    const now = Date.now();
+    const skipped = [];
+    const entries = [];
+
+    for (const task of candidates) {
+      const age_days = (now - Date.parse(taskManager.getSettledAt(task))) / 86_400_000;
+
+      if ((status && task.status !== status) ||
+          (older_than_days != null && !(age_days > older_than_days)) ||
+          (task_type && task.task_type !== task_type) ||
+          (spec && task.spec !== spec)) {
+        continue;
+      }
+
+      const reason = checkRemovable(task);
+      if (reason) {
+        skipped.push(`${task.task_id}: ${reason}`);
+        continue;
+      }
+
+      entries.push({ task, note: `${Math.floor(age_days)}d old` });
+    }
 
-        if (task.result_filename) {
-          text += `   Result: ${task.result_filename}\n`;
-        }
+    let text = dry_run
+      ? `🔍 Dry run: ${entries.length} task(s) would be archived to .agent-os/delegated-archive\n\n`
+      : `📦 Archived ${entries.length} task(s) to .agent-os/delegated-archive\n\n`;
+    text += await removeTasks(entries, { archive: true, dry_run });
 
-        text += `\n`;
-      });
+    if (skipped.length > 0) {
+      text += `\n**Skipped**:\n${skipped.map(line => `- ${line}\n`).join('')}`;
+    }
+    if (unknown.length > 0) {
+      text += `\n**Not found**: ${unknown.join(', ')}\n`;
     }
 
     return {
@@ -249,65 +1844,78 @@ async function listTasks(args) {
     return {
       content: [{
         type: "text",
-        text: `❌ Error listing tasks: ${error.message}`
+        text: `❌ Error archiving tasks: ${error.message}`
       }],
       isError: true
     };
   }
 }
 
-async function cancelTask(args) {
-  const { task_id } = args;
+/**
+ * Remove settled tasks past their retention period
+ * Rules and action given as arguments replace the configured ones
+ */
+async function pruneResults(args) {
+  const { dry_run = false } = args;
+  const rules = {
+    completed: args.completed_days !== undefined ? args.completed_days : retentionSettings.rules.completed,
+    failed: args.failed_days !== undefined ? args.failed_days : retentionSettings.rules.failed,
+    cancelled: args.cancelled_days !== undefined ? args.cancelled_days : retentionSettings.rules.cancelled
+  };
+  const archive = args.archive ?? retentionSettings.action === 'archive';
 
-  if (!task_id) {
+  if (Object.values(rules).some(days => days != null && (typeof days !== 'number' || days < 0))) {
     return {
       content: [{
         type: "text",
-        text: "❌ Error: task_id is required"
+        text: "❌ Error: completed_days, failed_days and cancelled_days must be non-negative numbers (or null to keep forever)"
       }],
       isError: true
     };
   }
 
   try {
-    const task = taskManager.getTask(task_id);
+    const expired = taskManager.findExpiredTasks(rules);
+    const entries = [];
+    const skipped = [];
 
-    if (!task) {
-      return {
-        content: [{
-          type: "text",
-          text: `❌ Task ${task_id} not found`
-      }],
-        isError: true
-      };
+    for (const { task, age_days } of expired) {
+      const reason = checkRemovable(task);
+      if (reason) {
+        skipped.push(`${task.task_id}: ${reason}`);
+      } else {
+        entries.push({ task, note: `${Math.floor(age_days)}d old` });
+      }
     }
 
-    if (task.status === 'completed' || task.status === 'failed') {
-      return {
-        content: [{
-          type: "text",
-          text: `⚠️ Cannot cancel task ${task_id}: already ${task.status}`
-        }]
-      };
+    const action = archive ? 'archived' : 'deleted';
+    const describe = (days) => days == null ? 'forever' : `${days} day(s)`;
+
+    let text = dry_run
+      ? `🔍 Dry run: ${entries.length} task(s) would be ${action}\n\n`
+      : `${archive ? '📦' : '🗑️'} Pruned ${entries.length} task(s) (${action})\n\n`;
+    text += `**Retention**: completed ${describe(rules.completed)}, failed ${describe(rules.failed)}, cancelled ${describe(rules.cancelled)}\n\n`;
+
+    if (entries.length === 0) {
+      text += `Nothing is past its retention period.\n`;
     }
+    text += await removeTasks(entries, { archive, dry_run });
 
-    // Mark as cancelled
-    taskManager.updateTask(task_id, {
-      status: 'cancelled',
-      cancelled_at: new Date().toISOString()
-    });
+    if (skipped.length > 0) {
+      text += `\n**Skipped**:\n${skipped.map(line => `- ${line}\n`).join('')}`;
+    }
 
     return {
       content: [{
         type: "text",
-        text: `✅ Task ${task_id} has been cancelled`
+        text
       }]
     };
   } catch (error) {
     return {
       content: [{
         type: "text",
-        text: `❌ Error cancelling task: ${error.message}`
+        text: `❌ Error pruning results: ${error.message}`
       }],
       isError: true
     };
@@ -315,21 +1923,23 @@ async function cancelTask(args) {
 }
 
 async function testConnection(args) {
+  const settings = serverConfig.getTaskSettings(null, { provider: args.provider, model: args.model });
+
   try {
-    const result = await claudeClient.testConnection();
+    const result = await claudeClient.testConnection(settings.provider, settings.model);
 
     if (result.success) {
       return {
         content: [{
           type: "text",
-          text: `✅ Connection successful!\n\nResponse: ${result.response}\n\nThe Chat Claude MCP server is properly configured and can communicate with the Claude API.`
+          text: `✅ Connection successful!\n\n**Provider**: ${settings.provider}\n**Model**: ${result.model}\n\nResponse: ${result.response}\n\nThe Chat Claude MCP server is properly configured and can communicate with the ${settings.provider} provider.`
         }]
       };
     } else {
       return {
         content: [{
           type: "text",
-          text: `❌ Connection failed: ${result.error}`
+          text: `❌ Connection to ${settings.provider} failed: ${result.error}`
         }],
         isError: true
       };
@@ -345,14 +1955,17 @@ async function testConnection(args) {
   }
 }
 
-// Register tool handlers
+// Request handlers
+
+async function listTools() {
+  await taskTypes.refresh();
+  const typeNames = taskTypes.names();
 
-server.setRequestHandler(ListToolsRequestSchema, async () => {
   return {
     tools: [
       {
         name: "delegate_task",
-        description: "Delegate a task to Chat Claude for parallel execution. Use this for research, documentation, design, analysis, or planning tasks while you handle implementation in the IDE.",
+        description: `Delegate a task to Chat Claude for parallel execution. Returns immediately while the task runs in the background; poll with get_task_result or wait_for_tasks. Use this for ${typeNames.join(', ')} tasks while you handle implementation in the IDE.`,
         inputSchema: {
           type: "object",
           properties: {
@@ -362,8 +1975,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             task_type: {
               type: "string",
-              enum: ["research", "documentation", "design", "analysis", "planning"],
-              description: "Type of task to delegate"
+              enum: typeNames,
+              description: `Type of task to delegate:\n${typeNames.map(name => `- ${name}${taskTypes.get(name).description ? `: ${taskTypes.get(name).description}` : ''}`).join('\n')}`
             },
             description: {
               type: "string",
@@ -376,13 +1989,147 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             output_format: {
               type: "string",
               enum: ["markdown", "json", "text"],
-              description: "Desired output format",
+              description: "Desired output format (defaults to json when output_schema is given, otherwise markdown)",
               default: "markdown"
+            },
+            output_schema: {
+              type: "object",
+              description: "JSON Schema the output must validate against (json format). Invalid output is re-prompted with the validation errors and the result is stored as a .json file"
+            },
+            result_format: {
+              type: "string",
+              enum: RESULT_FORMATS,
+              description: "File type of the stored result: md (YAML front matter), json or html. Defaults to json for JSON output, otherwise md"
+            },
+            max_validation_retries: {
+              type: "integer",
+              description: "How many times to re-prompt after invalid JSON output (defaults to chat_claude.json_output.max_validation_retries)"
+            },
+            provider: {
+              type: "string",
+              description: "Provider backend from chat_claude.providers in config.yml, e.g. anthropic, echo or a configured openai-compatible endpoint (defaults to chat_claude.task_types/defaults)"
+            },
+            model: {
+              type: "string",
+              description: "Model to use (defaults to the provider's model, or chat_claude.task_types/defaults in config.yml)"
+            },
+            max_tokens: {
+              type: "integer",
+              description: "Maximum output tokens (defaults from config.yml)"
+            },
+            temperature: {
+              type: "number",
+              description: "Sampling temperature: 0 to 1 for anthropic, 0 to 2 for openai-compatible providers (defaults from config.yml)"
+            },
+            system_prompt_append: {
+              type: "string",
+              description: "Extra instructions appended to the task type's system prompt"
+            },
+            include_mission: {
+              type: "boolean",
+              description: "Include .agent-os/product/mission.md in the context"
+            },
+            include_spec: {
+              type: "boolean",
+              description: "Include the task's spec's srd.md, specs.md and tasks.md in the context"
+            },
+            include_standards: {
+              oneOf: [
+                { type: "boolean" },
+                { type: "array", items: { type: "string" } }
+              ],
+              description: "Include standards: true for all, or globs relative to standards/ (e.g. ['global/*.md'])"
+            },
+            include_files: {
+              type: "array",
+              items: { type: "string" },
+              description: "Globs of project files to include, relative to the project root (e.g. ['src/auth/**/*.ts'])"
+            },
+            context_token_budget: {
+              type: "integer",
+              description: "Token budget for included documents (defaults to chat_claude.context.token_budget)"
+            },
+            force_refresh: {
+              type: "boolean",
+              description: "Run the task even if an identical delegation has a cached result",
+              default: false
+            },
+            depends_on: {
+              type: "array",
+              items: { type: "string" },
+              description: "Task IDs that must complete first; their results are included as prior context. If one fails or is cancelled, this task fails too"
+            },
+            spec: {
+              type: "string",
+              description: "Spec directory under .agent-os/specs to store the result in (e.g. 2025-01-15-user-auth). Defaults to the active spec, then the most recently modified one"
+            },
+            attachments: {
+              type: "array",
+              items: { type: "string" },
+              description: "Images (png, jpg, gif, webp) and PDFs to send with the task, as paths relative to the project root (e.g. ['.agent-os/visual-baselines/home-mobile.png'])"
+            },
+            review: {
+              type: "boolean",
+              description: "Have a reviewer pass check the output against the task and record a pass/fail verdict (defaults to chat_claude.verification.review)"
+            },
+            require_review: {
+              type: "boolean",
+              description: "Review the output and keep the task in needs_revision until a review passes; dependent tasks wait for it"
             }
           },
           required: ["task_id", "task_type", "description"]
         }
       },
+      {
+        name: "delegate_from_tasks_file",
+        description: "Delegate every unchecked [delegate:chat-claude] [type:TYPE] item in the current spec's tasks.md as a batch, whether tagged on its heading or on the item itself. Task IDs are derived from the item text so re-running skips work already delegated. Checkboxes are ticked and linked to result files as tasks complete.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            tasks_file: {
+              type: "string",
+              description: "Path to tasks.md relative to the project root (defaults to the current spec's tasks.md)"
+            },
+            spec: {
+              type: "string",
+              description: "Spec whose tasks.md to use when tasks_file isn't given"
+            },
+            include_spec: {
+              type: "boolean",
+              description: "Include the spec's documents as context for each task",
+              default: true
+            },
+            include_mission: {
+              type: "boolean",
+              description: "Include the product mission as context for each task",
+              default: false
+            },
+            dry_run: {
+              type: "boolean",
+              description: "List what would be delegated without delegating",
+              default: false
+            }
+          }
+        }
+      },
+      {
+        name: "set_active_spec",
+        description: "Set the spec that results of delegated tasks are stored in when delegate_task isn't given a spec. Without arguments, reports the current spec and which rule chose it.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            spec: {
+              type: "string",
+              description: "Spec directory name under .agent-os/specs"
+            },
+            clear: {
+              type: "boolean",
+              description: "Remove the active spec, falling back to the most recently modified spec",
+              default: false
+            }
+          }
+        }
+      },
       {
         name: "get_task_result",
         description: "Retrieve the result of a delegated task by its ID",
@@ -392,29 +2139,75 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             task_id: {
               type: "string",
               description: "Task identifier"
+            },
+            version: {
+              type: "integer",
+              description: "Result version to read (defaults to the latest); versions are created by follow_up_task"
             }
           },
           required: ["task_id"]
         }
       },
+      {
+        name: "follow_up_task",
+        description: "Continue the conversation of a settled delegated task with a new message. The full prior message history is sent, and the revision is stored as a new versioned result file (-v2.md, -v3.md, ...)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            task_id: {
+              type: "string",
+              description: "Identifier of the task to continue"
+            },
+            message: {
+              type: "string",
+              description: "Follow-up instructions, e.g. 'Expand the section on PKCE'"
+            }
+          },
+          required: ["task_id", "message"]
+        }
+      },
+      {
+        name: "wait_for_tasks",
+        description: "Block until all given delegated tasks have completed, failed, or been cancelled, or until the timeout expires",
+        inputSchema: {
+          type: "object",
+          properties: {
+            task_ids: {
+              type: "array",
+              items: { type: "string" },
+              description: "Task identifiers to wait for"
+            },
+            timeout_seconds: {
+              type: "number",
+              description: `Maximum time to wait (max ${MAX_WAIT_SECONDS})`,
+              default: 300
+            }
+          },
+          required: ["task_ids"]
+        }
+      },
       {
         name: "list_tasks",
-        description: "List all delegated tasks with optional status filter",
+        description: "List all delegated tasks with optional status and client filters",
         inputSchema: {
           type: "object",
           properties: {
             status: {
               type: "string",
-              enum: ["all", "pending", "in_progress", "completed", "failed"],
+              enum: ["all", "pending", "in_progress", "completed", "needs_revision", "failed", "cancelled"],
               description: "Filter tasks by status",
               default: "all"
+            },
+            client: {
+              type: "string",
+              description: "Only list tasks delegated by this client (see the Client line of each task)"
             }
           }
         }
       },
       {
         name: "cancel_task",
-        description: "Cancel a pending or in-progress task",
+        description: "Cancel a pending or in-progress task. In-progress tasks have their API request aborted and no result is stored.",
         inputSchema: {
           type: "object",
           properties: {
@@ -426,31 +2219,220 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ["task_id"]
         }
       },
+      {
+        name: "usage_report",
+        description: "Report token usage and estimated cost of delegated tasks, totalled by task type, spec, day and model, with budget status",
+        inputSchema: {
+          type: "object",
+          properties: {
+            since: {
+              type: "string",
+              description: "First day to include (YYYY-MM-DD, UTC)"
+            },
+            until: {
+              type: "string",
+              description: "Last day to include (YYYY-MM-DD, UTC)"
+            }
+          }
+        }
+      },
+      {
+        name: "search_results",
+        description: "Full-text search across every stored delegated result (including spec delegated-results directories). Use it to check what was already researched before delegating again.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            query: {
+              type: "string",
+              description: "Keywords, ranked by relevance; wrap \"exact phrases\" in double quotes to require them"
+            },
+            task_type: {
+              type: "string",
+              description: "Only results of this task type"
+            },
+            spec: {
+              type: "string",
+              description: "Only results of this spec directory (e.g. 2025-01-15-user-auth)"
+            },
+            since: {
+              type: "string",
+              description: "First completion day to include (YYYY-MM-DD)"
+            },
+            until: {
+              type: "string",
+              description: "Last completion day to include (YYYY-MM-DD)"
+            },
+            limit: {
+              type: "integer",
+              description: "Maximum number of results (default: 10, max: 50)",
+              default: 10
+            }
+          },
+          required: ["query"]
+        }
+      },
+      {
+        name: "clear_cache",
+        description: "Clear cached results so identical delegations run again. Result files are kept.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            task_id: {
+              type: "string",
+              description: "Only clear the cache entry of this task"
+            },
+            task_type: {
+              type: "string",
+              description: "Only clear cache entries of this task type"
+            }
+          }
+        }
+      },
+      {
+        name: "delete_task",
+        description: "Delete a settled task and its result files (every version). Active tasks must be cancelled first.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            task_id: {
+              type: "string",
+              description: "The task ID to delete"
+            },
+            keep_files: {
+              type: "boolean",
+              description: "Only forget the task; leave its result files on disk",
+              default: false
+            },
+            dry_run: {
+              type: "boolean",
+              description: "Report what would be removed without removing anything",
+              default: false
+            }
+          },
+          required: ["task_id"]
+        }
+      },
+      {
+        name: "archive_tasks",
+        description: "Move settled tasks' result files into .agent-os/delegated-archive and drop them from the task list. Select tasks by ID or by status, age, type and spec.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            task_ids: {
+              type: "array",
+              items: { type: "string" },
+              description: "Tasks to archive; other filters further narrow this list"
+            },
+            status: {
+              type: "string",
+              enum: ["completed", "needs_revision", "failed", "cancelled"],
+              description: "Only tasks with this status"
+            },
+            older_than_days: {
+              type: "number",
+              description: "Only tasks that settled more than this many days ago"
+            },
+            task_type: {
+              type: "string",
+              description: "Only tasks of this type"
+            },
+            spec: {
+              type: "string",
+              description: "Only tasks delegated under this spec directory"
+            },
+            dry_run: {
+              type: "boolean",
+              description: "Report what would be moved without moving anything",
+              default: false
+            }
+          }
+        }
+      },
+      {
+        name: "prune_results",
+        description: "Delete (or archive) settled tasks past their retention period: by default completed tasks after 90 days, failed and cancelled ones after 7. Use dry_run first to see what would go.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            dry_run: {
+              type: "boolean",
+              description: "Report what would be removed without removing anything",
+              default: false
+            },
+            completed_days: {
+              type: ["number", "null"],
+              description: "Keep completed tasks this many days (null keeps them forever; defaults to chat_claude.retention)"
+            },
+            failed_days: {
+              type: ["number", "null"],
+              description: "Keep failed tasks this many days"
+            },
+            cancelled_days: {
+              type: ["number", "null"],
+              description: "Keep cancelled tasks this many days"
+            },
+            archive: {
+              type: "boolean",
+              description: "Archive instead of delete (defaults to chat_claude.retention.action)"
+            }
+          }
+        }
+      },
       {
         name: "test_connection",
-        description: "Test connection to Claude API to verify the MCP server is configured correctly",
+        description: "Test the connection to a provider to verify the MCP server is configured correctly",
         inputSchema: {
           type: "object",
-          properties: {}
+          properties: {
+            provider: {
+              type: "string",
+              description: "Provider to test (defaults to the configured default provider)"
+            },
+            model: {
+              type: "string",
+              description: "Model to test against (defaults to the provider's default model)"
+            }
+          }
         }
       }
     ]
   };
-});
+}
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+async function callTool(request, session) {
   const { name, arguments: args } = request.params;
+  const client = getClientName(session);
 
   try {
     switch (name) {
       case "delegate_task":
-        return await delegateTask(args || {});
+        return await delegateTask(args || {}, { client });
+      case "delegate_from_tasks_file":
+        return await delegateFromTasksFile(args || {}, client);
+      case "set_active_spec":
+        return await setActiveSpec(args || {});
       case "get_task_result":
         return await getTaskResult(args || {});
+      case "follow_up_task":
+        return await followUpTask(args || {});
+      case "wait_for_tasks":
+        return await waitForTasks(args || {});
       case "list_tasks":
         return await listTasks(args || {});
       case "cancel_task":
         return await cancelTask(args || {});
+      case "usage_report":
+        return await usageReport(args || {});
+      case "search_results":
+        return await searchResults(args || {});
+      case "clear_cache":
+        return await clearCache(args || {});
+      case "delete_task":
+        return await deleteTask(args || {});
+      case "archive_tasks":
+        return await archiveTasks(args || {});
+      case "prune_results":
+        return await pruneResults(args || {});
       case "test_connection":
         return await testConnection(args || {});
       default:
@@ -471,13 +2453,133 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       isError: true
     };
   }
-});
+}
+
+async function listResources() {
+  return { resources: resultResources.list() };
+}
+
+async function listResourceTemplates() {
+  return { resourceTemplates: resultResources.templates() };
+}
+
+async function readResource(request) {
+  return await resultResources.read(request.params.uri);
+}
+
+async function subscribeResource(request, session) {
+  resultResources.subscribe(request.params.uri, session);
+  return {};
+}
+
+async function unsubscribeResource(request, session) {
+  resultResources.unsubscribe(request.params.uri, session);
+  return {};
+}
+
+async function listPrompts() {
+  await promptLibrary.refresh();
+  return { prompts: promptLibrary.list() };
+}
+
+async function getPrompt(request) {
+  const { name, arguments: args } = request.params;
+
+  await Promise.all([promptLibrary.refresh(), taskTypes.refresh()]);
+  const { recipe, request: delegation } = await promptLibrary.render(name, args || {});
+
+  if (!taskTypes.has(delegation.task_type)) {
+    throw new Error(`Prompt "${name}" uses task type "${delegation.task_type}", which isn't defined (defined: ${taskTypes.names().join(', ')})`);
+  }
+
+  return {
+    description: recipe.description,
+    messages: [{
+      role: "user",
+      content: {
+        type: "text",
+        text: `Delegate this ${delegation.task_type} task to Chat Claude by calling the \`delegate_task\` tool with these arguments:
+
+\`\`\`json
+${JSON.stringify(delegation, null, 2)}
+\`\`\`
+
+Change the task_id if a task with that ID already exists. Continue with other work while it runs, and use \`wait_for_tasks\` or \`get_task_result\` when the result is needed.`
+      }
+    }]
+  };
+}
+
+/**
+ * Name a client's tasks are attributed to
+ * Over HTTP this is the client its bearer token belongs to; over stdio, the name the client reports
+ */
+function getClientName(session) {
+  return session.client || session.server.getClientVersion()?.name || undefined;
+}
+
+/**
+ * Create the MCP server for one client connection
+ * Tasks, queue and registries are shared by every connection; resource subscriptions are per connection
+ * @param {Object} session - { client }, where client is the authenticated client name over HTTP and null over stdio
+ * @returns {Server}
+ */
+function createServer(session) {
+  const server = new Server(
+    {
+      name: "chat-claude",
+      version: "0.1.0",
+    },
+    {
+      capabilities: {
+        tools: { listChanged: true },
+        resources: { subscribe: true, listChanged: true },
+        prompts: { listChanged: true },
+      },
+    }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, listTools);
+  server.setRequestHandler(CallToolRequestSchema, (request) => callTool(request, session));
+  server.setRequestHandler(ListResourcesRequestSchema, listResources);
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, listResourceTemplates);
+  server.setRequestHandler(ReadResourceRequestSchema, readResource);
+  server.setRequestHandler(SubscribeRequestSchema, (request) => subscribeResource(request, session));
+  server.setRequestHandler(UnsubscribeRequestSchema, (request) => unsubscribeResource(request, session));
+  server.setRequestHandler(ListPromptsRequestSchema, listPrompts);
+  server.setRequestHandler(GetPromptRequestSchema, getPrompt);
+
+  server.onclose = () => {
+    sessions.delete(session);
+    resultResources.unsubscribeAll(session);
+  };
+
+  session.server = server;
+  sessions.add(session);
+  return server;
+}
 
 // Start server
 async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error("Chat Claude MCP server running on stdio");
+  const transportSettings = serverConfig.getTransportSettings();
+
+  if (transportSettings.mode === 'http') {
+    const { host, port } = transportSettings;
+    const httpServer = new McpHttpServer(transportSettings, async (transport, client) => {
+      await createServer({ client }).connect(transport);
+      console.error(`Client connected: ${client}`);
+    });
+    const clients = await httpServer.start();
+    console.error(`Chat Claude MCP server listening on http://${host}:${port}/sse`);
+    console.error(`Clients: ${clients.join(', ')}`);
+  } else if (transportSettings.mode === 'stdio') {
+    const transport = new StdioServerTransport();
+    await createServer({ client: null }).connect(transport);
+    console.error("Chat Claude MCP server running on stdio");
+  } else {
+    throw new Error(`Unknown transport "${transportSettings.mode}" (use stdio or http)`);
+  }
+
   console.error(`Project root: ${PROJECT_ROOT}`);
 }
 
@@ -0,0 +1,45 @@
+/**
+ * Anthropic Provider
+ * Sends requests to the Claude Messages API through @anthropic-ai/sdk
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+
+export class AnthropicProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.api_key_env] - Environment variable holding the API key
+   * @param {string} [options.base_url] - API base URL (defaults to the SDK's, which honours ANTHROPIC_BASE_URL)
+   */
+  constructor({ api_key_env = 'ANTHROPIC_API_KEY', base_url } = {}) {
+    const apiKey = process.env[api_key_env];
+    if (!apiKey) {
+      throw new Error(`${api_key_env} is not set`);
+    }
+
+    // Retries are handled by our own policy so attempts can be recorded on the task
+    this.client = new Anthropic({
+      apiKey,
+      maxRetries: 0,
+      ...(base_url ? { baseURL: base_url } : {})
+    });
+  }
+
+  /**
+   * Run one streaming Messages API request
+   * @param {Object} params - { model, max_tokens, temperature, system, messages } in Messages API form
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @param {Function} [options.onText] - Called with each text delta
+   * @returns {Promise<Object>} - The final message: { model, content, stop_reason, usage }
+   */
+  async createMessage(params, { signal, onText } = {}) {
+    const stream = this.client.messages.stream(params, { signal });
+
+    if (onText) {
+      stream.on('text', onText);
+    }
+
+    return stream.finalMessage();
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Attachments
+ * Checks project files attached to a delegation and turns them into multimodal content blocks
+ */
+
+import { readFile, realpath, stat } from 'fs/promises';
+import { createHash } from 'crypto';
+import { extname, isAbsolute, relative, resolve, sep } from 'path';
+
+const MEDIA_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf'
+};
+
+// Leading bytes of each media type, so a renamed file isn't sent as something it isn't
+const SIGNATURES = {
+  'image/png': (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/jpeg': (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff,
+  'image/gif': (bytes) => ['GIF87a', 'GIF89a'].includes(bytes.subarray(0, 6).toString('latin1')),
+  'image/webp': (bytes) => bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP',
+  'application/pdf': (bytes) => bytes.subarray(0, 5).toString('latin1') === '%PDF-'
+};
+
+const MB = 1024 * 1024;
+
+/**
+ * Format a byte count for display
+ */
+export function formatBytes(bytes) {
+  return bytes >= MB ? `${(bytes / MB).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/**
+ * Build the Messages API content block for an attachment
+ */
+function toContentBlock(media_type, data) {
+  const source = { type: 'base64', media_type, data: data.toString('base64') };
+  return media_type === 'application/pdf'
+    ? { type: 'document', source }
+    : { type: 'image', source };
+}
+
+export class AttachmentLoader {
+  /**
+   * @param {string} projectRoot - Attachment paths are relative to this and may not leave it
+   * @param {Object} limits - { max_files, max_image_mb, max_pdf_mb, max_total_mb } from ServerConfig.getAttachmentSettings
+   */
+  constructor(projectRoot, limits) {
+    this.projectRoot = projectRoot;
+    this.limits = limits;
+  }
+
+  /**
+   * Read and check attachments
+   * @param {string[]} paths - Project-relative paths
+   * @returns {Promise<Object>} - { attachments, blocks } where attachments is [{ path, media_type, size_bytes, sha256 }]
+   *   and blocks maps each path to its content block
+   * @throws {Error} - Listing every file that is missing, outside the project, of an unsupported type or too large
+   */
+  async load(paths) {
+    const { max_files, max_image_mb, max_pdf_mb, max_total_mb } = this.limits;
+    const errors = [];
+    const attachments = [];
+    const blocks = {};
+    let total = 0;
+
+    if (paths.length > max_files) {
+      throw new Error(`at most ${max_files} attachments are allowed (got ${paths.length})`);
+    }
+
+    const root = await realpath(this.projectRoot);
+
+    for (const path of [...new Set(paths)]) {
+      const media_type = MEDIA_TYPES[extname(path).toLowerCase()];
+      if (!media_type) {
+        errors.push(`${path}: unsupported type (use ${Object.keys(MEDIA_TYPES).join(', ')})`);
+        continue;
+      }
+
+      // Resolve symlinks too, so a link can't reach outside the project
+      let absolute;
+      try {
+        absolute = await realpath(resolve(root, path));
+      } catch {
+        errors.push(`${path}: not found`);
+        continue;
+      }
+
+      const rel = relative(root, absolute);
+      if (isAbsolute(path) || rel.startsWith('..') || isAbsolute(rel)) {
+        errors.push(`${path}: outside the project root`);
+        continue;
+      }
+
+      const stats = await stat(absolute);
+      if (!stats.isFile()) {
+        errors.push(`${path}: not a file`);
+        continue;
+      }
+
+      const limit = media_type === 'application/pdf' ? max_pdf_mb : max_image_mb;
+      if (stats.size > limit * MB) {
+        errors.push(`${path}: ${formatBytes(stats.size)} is over the ${limit} MB limit`);
+        continue;
+      }
+
+      const data = await readFile(absolute);
+      if (!SIGNATURES[media_type](data)) {
+        errors.push(`${path}: contents are not ${media_type}`);
+        continue;
+      }
+
+      total += data.length;
+      const normalized = rel.split(sep).join('/');
+      attachments.push({
+        path: normalized,
+        media_type,
+        size_bytes: data.length,
+        sha256: createHash('sha256').update(data).digest('hex')
+      });
+      blocks[normalized] = toContentBlock(media_type, data);
+    }
+
+    if (total > max_total_mb * MB) {
+      errors.push(`${formatBytes(total)} in total is over the ${max_total_mb} MB limit`);
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`invalid attachments: ${errors.join('; ')}`);
+    }
+
+    return { attachments, blocks };
+  }
+}
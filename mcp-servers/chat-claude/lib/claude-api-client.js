@@ -1,71 +1,215 @@
 /**
  * Claude API Client
- * Handles communication with Claude API for task delegation
+ * Builds prompts for delegated tasks and runs them against the configured provider backend
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { DEFAULT_TASK_SETTINGS, DEFAULT_VERIFICATION_SETTINGS } from './config.js';
+import { RetryPolicy } from './retry-policy.js';
+import { JsonOutputValidator } from './json-output.js';
 
-export class ClaudeAPIClient {
-  constructor(apiKey) {
-    if (!apiKey) {
-      throw new Error('ANTHROPIC_API_KEY is required');
-    }
+// Minimum time between progress callbacks while streaming
+const PROGRESS_INTERVAL_MS = 1000;
 
-    this.client = new Anthropic({
-      apiKey: apiKey,
-    });
+// Rough characters-per-token ratio used to estimate progress before final usage arrives
+const CHARS_PER_TOKEN = 4;
+
+// Sent after a reply that stopped at the output token limit
+const CONTINUE_PROMPT = 'Your previous response was cut off by the output token limit. Continue exactly where it stopped, without repeating anything or adding any preamble.';
+
+// Reviewer verdicts are short; this keeps a runaway review cheap
+const REVIEW_MAX_TOKENS = 2048;
+
+const REVIEW_SYSTEM_PROMPT = `You review work that another model produced for a software development task. Check whether the output fully does what the task asks: it must cover every requirement, be complete rather than cut off, and contain no errors or contradictions you can see. Judge the output against the task only, not against your own preferences.
+
+Reply with only this JSON, with no surrounding prose or code fences:
+{"verdict": "pass" or "fail", "reasons": ["..."]}
+
+For a fail, each reason names one concrete problem and what a revision must change. For a pass, reasons may be empty or note minor issues.`;
+
+const REVIEW_SCHEMA = {
+  type: 'object',
+  required: ['verdict', 'reasons'],
+  properties: {
+    verdict: { enum: ['pass', 'fail'] },
+    reasons: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+export class ClaudeAPIClient {
+  /**
+   * @param {ProviderRegistry} providers - Provider backends tasks are sent to
+   * @param {Object} [options]
+   * @param {RetryPolicy} [options.retryPolicy] - Retry policy for transient API errors
+   * @param {TaskTypeRegistry} [options.taskTypes] - Source of each task type's role prompt
+   */
+  constructor(providers, { retryPolicy = new RetryPolicy(), taskTypes = null } = {}) {
+    this.providers = providers;
+    this.retryPolicy = retryPolicy;
+    this.taskTypes = taskTypes;
+    this.jsonValidator = new JsonOutputValidator();
   }
 
   /**
-   * Send a task to Chat Claude and get the result
+   * Send a task to its provider and get the result
+   * Transient API errors are retried according to the retry policy. Output cut off by the
+   * token limit is continued, and with review enabled a reviewer pass checks it against the task.
    * @param {Object} task - Task object with description, context, and type
-   * @returns {Promise<Object>} - Result with content and metadata
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the in-flight API request
+   * @param {Function} [options.onProgress] - Called with partial content and progress while streaming
+   * @param {Function} [options.onAttempt] - Called with the attempt history after each failed attempt
+   * @returns {Promise<Object>} - Result with content, metadata, attempt history and the full message history
    */
-  async executeTask(task) {
+  async executeTask(task, { signal, onProgress, onAttempt } = {}) {
     const { task_id, task_type, description, context, output_format = 'markdown' } = task;
+    const settings = { ...DEFAULT_TASK_SETTINGS, ...task.settings };
+    const verification = { ...DEFAULT_VERIFICATION_SETTINGS, ...task.verification };
 
     // Build system prompt based on task type
-    const systemPrompt = this.buildSystemPrompt(task_type, output_format);
+    let systemPrompt = this.buildSystemPrompt(task_type, output_format);
+    if (settings.system_prompt_append) {
+      systemPrompt += `\n\n${settings.system_prompt_append}`;
+    }
 
     // Build user prompt with context and description
-    const userPrompt = this.buildUserPrompt(description, context, output_format);
+    const userPrompt = this.buildUserPrompt(description, context, output_format, task.assembled_context, task.output_schema, task.dependency_context);
+
+    // Follow-ups continue the stored conversation instead of starting over
+    const messages = task.messages?.length && task.follow_up_message
+      ? [...task.messages, { role: 'user', content: task.follow_up_message }]
+      : [{ role: 'user', content: this.withAttachments(userPrompt, task.attachments) }];
+
+    const params = {
+      model: settings.model,
+      max_tokens: settings.max_tokens,
+      system: systemPrompt,
+      messages
+    };
+
+    if (settings.temperature !== null) {
+      params.temperature = settings.temperature;
+    }
+
+    const startedAt = Date.now();
+    const attempts = [];
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    let validation;
 
     try {
-      const response = await this.client.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 8096,
-        system: systemPrompt,
-        messages: [
-          {
-            role: 'user',
-            content: userPrompt
-          }
-        ]
+      const provider = this.providers.get(settings.provider);
+      const request = {
+        provider,
+        task: { task_id, task_type, version: task.version || 1, output_format },
+        signal,
+        onProgress,
+        onAttempt,
+        attempts,
+        startedAt,
+        attachments: task.attachment_blocks
+      };
+
+      const failValidation = (output) => ({
+        task_id,
+        status: 'failed',
+        error: `Output failed JSON validation after ${validation.reprompts + 1} attempt(s): ${validation.errors.join('; ')}`,
+        content: output.content,
+        attempts,
+        metadata: {
+          validation,
+          usage,
+          failed_at: new Date().toISOString()
+        }
       });
 
-      // Extract text content from response
-      const content = response.content
-        .filter(block => block.type === 'text')
-        .map(block => block.text)
-        .join('\n\n');
+      let output = await this.generate(params, request, usage, verification);
+
+      // JSON mode: parse and validate, re-prompting with the errors until the output passes
+      if (output_format === 'json') {
+        output = await this.validateJson(params, request, usage, output, task, verification);
+        validation = output.validation;
+        if (!validation.valid) {
+          return failValidation(output);
+        }
+      }
+
+      // Review: a second pass checks the output against the task, and a failed review
+      // is fed back as revision instructions up to max_auto_revisions times
+      let review;
+      if (verification.review) {
+        for (let round = 1; ; round++) {
+          review = await this.reviewOutput(task, output, { ...request, onProgress: undefined }, usage, {
+            model: verification.review_model || settings.model,
+            round
+          });
+
+          if (review.verdict === 'pass' || round > verification.max_auto_revisions) {
+            break;
+          }
+
+          params.messages = [
+            ...params.messages,
+            { role: 'assistant', content: output.content },
+            { role: 'user', content: this.buildRevisionFeedback(review.reasons) }
+          ];
+          output = await this.generate(params, request, usage, verification);
+
+          if (output_format === 'json') {
+            output = await this.validateJson(params, request, usage, output, task, verification);
+            validation = output.validation;
+            if (!validation.valid) {
+              return failValidation(output);
+            }
+          }
+        }
+      }
 
       return {
         task_id,
-        status: 'completed',
-        content,
+        // A failed review only holds the task back when the delegation asked for it
+        status: review?.verdict === 'fail' && verification.require_review ? 'needs_revision' : 'completed',
+        content: output.content,
+        parsed: output.parsed,
+        attempts,
+        messages: [...params.messages, { role: 'assistant', content: output.content }],
         metadata: {
-          model: response.model,
-          usage: response.usage,
-          stop_reason: response.stop_reason,
+          model: output.response.model,
+          settings,
+          usage,
+          stop_reason: output.response.stop_reason,
+          continuations: output.continuations || undefined,
+          truncated: output.truncated || undefined,
+          validation,
+          review,
+          elapsed_ms: Date.now() - startedAt,
           completed_at: new Date().toISOString()
         }
       };
     } catch (error) {
+      // Rounds that completed before the cancel or failure (continuations, JSON re-prompts,
+      // reviews) were paid for, so their usage is returned for the ledger
+      if (signal?.aborted) {
+        return {
+          task_id,
+          status: 'cancelled',
+          error: 'Task was cancelled',
+          attempts,
+          metadata: {
+            model: settings.model,
+            usage,
+            cancelled_at: new Date().toISOString()
+          }
+        };
+      }
+
       return {
         task_id,
         status: 'failed',
         error: error.message,
+        attempts,
         metadata: {
+          model: settings.model,
+          usage,
+          validation,
           failed_at: new Date().toISOString()
         }
       };
@@ -73,71 +217,309 @@ export class ClaudeAPIClient {
   }
 
   /**
-   * Build system prompt based on task type
+   * Request a reply, continuing it while the token limit cuts it off
+   * The continuation prompts are not kept in `params.messages`; the pieces are joined into one reply.
+   * @returns {Promise<Object>} - { response, content, continuations, truncated } where truncated means
+   *   the reply was still cut off after max_continuations
+   */
+  async generate(params, request, usage, { continue_truncated, max_continuations }) {
+    let response = await this.requestWithRetry(params, request);
+    let content = this.extractText(response);
+    let continuations = 0;
+    this.addUsage(usage, response.usage);
+
+    while (response.stop_reason === 'max_tokens' && continue_truncated && continuations < max_continuations) {
+      continuations++;
+      response = await this.requestWithRetry({
+        ...params,
+        messages: [
+          ...params.messages,
+          { role: 'assistant', content },
+          { role: 'user', content: CONTINUE_PROMPT }
+        ]
+      }, { ...request, prefix: content });
+      content += this.extractText(response);
+      this.addUsage(usage, response.usage);
+    }
+
+    return { response, content, continuations, truncated: response.stop_reason === 'max_tokens' };
+  }
+
+  /**
+   * Parse and validate JSON output, re-prompting with the errors until it passes
+   * @returns {Promise<Object>} - The output that was checked last, with `parsed` and `validation`
+   */
+  async validateJson(params, request, usage, output, task, verification) {
+    const maxRounds = task.max_validation_retries ?? 2;
+
+    for (let round = 0; ; round++) {
+      const check = this.jsonValidator.check(output.content, task.output_schema);
+      const validation = { valid: check.valid, errors: check.errors, reprompts: round };
+
+      if (check.valid || round >= maxRounds) {
+        return { ...output, parsed: check.valid ? check.value : undefined, validation };
+      }
+
+      params.messages = [
+        ...params.messages,
+        { role: 'assistant', content: output.content },
+        { role: 'user', content: this.buildValidationFeedback(check.errors) }
+      ];
+      output = await this.generate(params, request, usage, verification);
+    }
+  }
+
+  /**
+   * Ask a reviewer model whether the output does what the task asked
+   * A reply that isn't a valid verdict counts as a failed review.
+   * @param {Object} task - The task being reviewed
+   * @param {Object} output - { content, truncated } from generate
+   * @param {Object} options - { model, round } for the reviewer request
+   * @returns {Promise<Object>} - { verdict: 'pass'|'fail', reasons, model, round, reviewed_at }
+   */
+  async reviewOutput(task, output, request, usage, { model, round }) {
+    const params = {
+      model,
+      max_tokens: REVIEW_MAX_TOKENS,
+      temperature: 0,
+      system: REVIEW_SYSTEM_PROMPT,
+      messages: [{ role: 'user', content: this.withAttachments(this.buildReviewPrompt(task, output), task.attachments) }]
+    };
+
+    const response = await this.requestWithRetry(params, {
+      ...request,
+      // Offline providers find reviewer fixtures under <task_id>-review
+      task: { ...request.task, task_id: `${task.task_id}-review`, task_type: 'review', output_format: 'json' }
+    });
+    this.addUsage(usage, response.usage);
+
+    const check = this.jsonValidator.check(this.extractText(response), REVIEW_SCHEMA);
+    const verdict = check.valid
+      ? { verdict: check.value.verdict, reasons: check.value.reasons }
+      : { verdict: 'fail', reasons: [`Reviewer reply was not a valid verdict: ${check.errors.join('; ')}`] };
+
+    return {
+      ...verdict,
+      model: response.model,
+      round,
+      reviewed_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Run a streaming request, retrying transient errors per the retry policy
+   * Every attempt is appended to `attempts`
+   * @returns {Promise<Object>} - The final message
+   * @throws {Error} - The last error once retries are exhausted or the error is fatal
+   */
+  async requestWithRetry(params, { provider, task, signal, onProgress, onAttempt, attempts, startedAt, prefix, attachments }) {
+    for (let attempt = 1; ; attempt++) {
+      const attemptStartedAt = new Date().toISOString();
+
+      try {
+        const response = await this.streamMessage(provider, params, { task, signal, onProgress, startedAt, prefix, attachments });
+        attempts.push({ attempt, started_at: attemptStartedAt, outcome: 'success' });
+        return response;
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+
+        const { retryable, reason } = this.retryPolicy.classify(error);
+        const willRetry = this.retryPolicy.shouldRetry(attempt, error);
+        const delay_ms = willRetry ? this.retryPolicy.getDelay(attempt, error) : null;
+
+        attempts.push({
+          attempt,
+          started_at: attemptStartedAt,
+          outcome: 'error',
+          error: error.message,
+          reason,
+          retryable,
+          delay_ms
+        });
+        onAttempt?.(attempts);
+
+        if (!willRetry || !(await this.retryPolicy.wait(delay_ms, signal))) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Extract text content from a response
+   */
+  extractText(response) {
+    return response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n\n');
+  }
+
+  /**
+   * Accumulate token usage across requests
+   */
+  addUsage(total, usage = {}) {
+    total.input_tokens += usage.input_tokens || 0;
+    total.output_tokens += usage.output_tokens || 0;
+  }
+
+  /**
+   * Build the re-prompt sent when JSON output fails parsing or schema validation
+   */
+  buildValidationFeedback(errors) {
+    return `Your previous response did not pass validation:
+
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with only the corrected JSON, with no surrounding prose or code fences.`;
+  }
+
+  /**
+   * Build the prompt that asks for a revision after a failed review
+   */
+  buildRevisionFeedback(reasons) {
+    return `A reviewer checked your previous response against the task and found problems:
+
+${reasons.map(reason => `- ${reason}`).join('\n')}
+
+Reply again with the complete revised response, fixing these problems.`;
+  }
+
+  /**
+   * Build the reviewer's prompt: the task as it was asked, then the output to judge
+   */
+  buildReviewPrompt(task, output) {
+    let prompt = `# Task\n\n${task.description}\n\n`;
+
+    if (task.context) {
+      prompt += `# Project Context\n\n${task.context}\n\n`;
+    }
+
+    if (task.follow_up_message) {
+      prompt += `# Revision Request\n\n${task.follow_up_message}\n\n`;
+    }
+
+    if (output.truncated) {
+      prompt += `Note: the output below stopped at the output token limit and may be incomplete.\n\n`;
+    }
+
+    prompt += `# Output to Review\n\n${output.content}`;
+    return prompt;
+  }
+
+  /**
+   * Run one streaming request against a provider
+   * @param {Object} options
+   * @param {string} [options.prefix] - Text already generated, so progress covers a continued reply
+   * @param {Object} [options.attachments] - Content blocks by path, swapped in for attachment references
+   * @returns {Promise<Object>} - The final message
+   */
+  async streamMessage(provider, params, { task, signal, onProgress, startedAt, prefix = '', attachments }) {
+    // Report accumulated text periodically so callers can show "so far" content
+    let partial = prefix;
+    let lastReport = 0;
+    const onText = (delta) => {
+      partial += delta;
+
+      const now = Date.now();
+      if (onProgress && now - lastReport >= PROGRESS_INTERVAL_MS) {
+        lastReport = now;
+        onProgress({
+          content: partial,
+          output_tokens: Math.ceil(partial.length / CHARS_PER_TOKEN),
+          elapsed_ms: now - startedAt
+        });
+      }
+    };
+
+    return provider.createMessage(this.expandAttachments(params, attachments), { signal, onText, task });
+  }
+
+  /**
+   * Put attachments ahead of a prompt, each labelled with its path
+   * The message only references them, so the stored history stays small; see expandAttachments
+   * @param {string} prompt - Prompt text
+   * @param {Array<Object>} [attachments] - [{ path, media_type }] recorded on the task
+   * @returns {string|Array<Object>} - The prompt, or content blocks when there are attachments
+   */
+  withAttachments(prompt, attachments) {
+    if (!attachments?.length) {
+      return prompt;
+    }
+
+    return [
+      ...attachments.flatMap(({ path }) => [
+        { type: 'text', text: `Attachment: ${path}` },
+        { type: 'attachment', path }
+      ]),
+      { type: 'text', text: prompt }
+    ];
+  }
+
+  /**
+   * Replace attachment references in the messages with their image or document blocks
+   * @throws {Error} - If an attachment wasn't loaded
+   */
+  expandAttachments(params, attachments) {
+    const hasReference = (message) => Array.isArray(message.content) && message.content.some(block => block.type === 'attachment');
+    if (!params.messages.some(hasReference)) {
+      return params;
+    }
+
+    return {
+      ...params,
+      messages: params.messages.map(message => hasReference(message)
+        ? {
+          ...message,
+          content: message.content.map(block => {
+            if (block.type !== 'attachment') return block;
+            if (!attachments?.[block.path]) {
+              throw new Error(`Attachment ${block.path} was not loaded`);
+            }
+            return attachments[block.path];
+          })
+        }
+        : message)
+    };
+  }
+
+  /**
+   * Build system prompt from the base prompt and the task type's role prompt
    */
   buildSystemPrompt(task_type, output_format) {
     const basePrompt = `You are Claude, an AI assistant helping with software development tasks. You are being used as part of a parallel workflow system where you handle ${task_type} tasks while another AI (Claude Code) handles implementation tasks.`;
 
-    const typeSpecificPrompts = {
-      research: `
-
-Your role: Research and analysis expert
-- Conduct thorough research on the given topic
-- Compare multiple approaches or solutions
-- Provide clear recommendations with pros/cons
-- Include relevant links, examples, and references
-- Be comprehensive but concise`,
-
-      documentation: `
-
-Your role: Technical documentation writer
-- Create clear, well-structured documentation
-- Include code examples where relevant
-- Use proper markdown formatting
-- Cover all important aspects
-- Make it easy to understand for developers`,
-
-      design: `
-
-Your role: System and architecture designer
-- Design robust, scalable solutions
-- Consider best practices and patterns
-- Provide clear architectural diagrams (as text/mermaid)
-- Explain design decisions
-- Consider trade-offs and alternatives`,
-
-      analysis: `
-
-Your role: Code and system analyst
-- Analyze the given code or system thoroughly
-- Identify patterns, issues, and opportunities
-- Provide actionable insights
-- Be specific and detailed
-- Focus on practical improvements`,
-
-      planning: `
-
-Your role: Project planner and strategist
-- Break down complex work into manageable tasks
-- Consider dependencies and priorities
-- Provide realistic estimates
-- Think about potential blockers
-- Create clear action plans`
-    };
+    // Types removed since the task was delegated still run, just without a role prompt
+    const rolePrompt = this.taskTypes?.get(task_type)?.system_prompt;
 
     const formatInstruction = output_format === 'json'
       ? '\n\nIMPORTANT: Output your response as valid JSON.'
       : '\n\nIMPORTANT: Output your response in well-formatted Markdown.';
 
-    return basePrompt + (typeSpecificPrompts[task_type] || '') + formatInstruction;
+    return basePrompt + (rolePrompt ? `\n\n${rolePrompt.trim()}` : '') + formatInstruction;
   }
 
   /**
    * Build user prompt with context and task description
+   * @param {string} [assembledContext] - Project documents gathered by ContextBuilder
+   * @param {Object} [outputSchema] - JSON Schema the output must match (json format only)
+   * @param {string} [dependencyContext] - Results of the tasks this one depends on
    */
-  buildUserPrompt(description, context, output_format) {
+  buildUserPrompt(description, context, output_format, assembledContext, outputSchema, dependencyContext) {
     let prompt = '';
 
+    if (assembledContext) {
+      prompt += assembledContext;
+      prompt += '\n\n---\n\n';
+    }
+
+    if (dependencyContext) {
+      prompt += dependencyContext;
+      prompt += '\n\n---\n\n';
+    }
+
     if (context) {
       prompt += '# Project Context\n\n';
       prompt += context;
@@ -149,18 +531,26 @@ Your role: Project planner and strategist
 
     if (output_format === 'json') {
       prompt += '\n\n# Output Format\n\nProvide your response as valid JSON.';
+
+      if (outputSchema) {
+        prompt += ' It must validate against this JSON Schema:\n\n```json\n';
+        prompt += JSON.stringify(outputSchema, null, 2);
+        prompt += '\n```';
+      }
     }
 
     return prompt;
   }
 
   /**
-   * Test API connection
+   * Test the connection to a provider
+   * @param {string} [providerName] - Provider to test
+   * @param {string} [model] - Model to test against
    */
-  async testConnection() {
+  async testConnection(providerName = DEFAULT_TASK_SETTINGS.provider, model = DEFAULT_TASK_SETTINGS.model) {
     try {
-      const response = await this.client.messages.create({
-        model: 'claude-sonnet-4-20250514',
+      const response = await this.providers.get(providerName).createMessage({
+        model,
         max_tokens: 100,
         messages: [
           {
@@ -172,7 +562,8 @@ Your role: Project planner and strategist
 
       return {
         success: true,
-        response: response.content[0].text
+        model: response.model,
+        response: this.extractText(response)
       };
     } catch (error) {
       return {
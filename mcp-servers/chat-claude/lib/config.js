@@ -0,0 +1,295 @@
+/**
+ * Server Configuration
+ * Loads Agent-OS config.yml files and resolves per-task settings
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+// Root of the Agent-OS install (holds config.yml, standards/, templates/)
+export const PLUGIN_ROOT = join(dirname(fileURLToPath(import.meta.url)), '..', '..', '..');
+
+// Plugin-level config.yml
+const PLUGIN_CONFIG_PATH = join(PLUGIN_ROOT, 'config.yml');
+
+// Used when neither config file sets a value
+export const DEFAULT_TASK_SETTINGS = {
+  provider: 'anthropic',
+  model: 'claude-sonnet-4-20250514',
+  max_tokens: 8096,
+  temperature: null,
+  system_prompt_append: null
+};
+
+const TASK_SETTING_KEYS = Object.keys(DEFAULT_TASK_SETTINGS);
+
+// Used when chat_claude.verification doesn't set a value
+export const DEFAULT_VERIFICATION_SETTINGS = {
+  continue_truncated: true,
+  max_continuations: 2,
+  review: false,
+  require_review: false,
+  review_model: null,
+  max_auto_revisions: 1
+};
+
+// Providers available without any config
+const BUILTIN_PROVIDERS = {
+  anthropic: { type: 'anthropic' },
+  echo: { type: 'echo' }
+};
+
+/**
+ * Recursively merge plain objects; arrays and scalars from `override` replace `base`
+ */
+function deepMerge(base, override) {
+  if (!override || typeof override !== 'object' || Array.isArray(override)) {
+    return override === undefined ? base : override;
+  }
+
+  const merged = { ...(base && typeof base === 'object' && !Array.isArray(base) ? base : {}) };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = deepMerge(merged[key], value);
+  }
+  return merged;
+}
+
+/**
+ * Keep only the task setting keys that are actually set
+ */
+function pickTaskSettings(source = {}) {
+  const picked = {};
+  for (const key of TASK_SETTING_KEYS) {
+    if (source[key] !== undefined && source[key] !== null) {
+      picked[key] = source[key];
+    }
+  }
+  return picked;
+}
+
+export class ServerConfig {
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot;
+    this.paths = [
+      PLUGIN_CONFIG_PATH,
+      join(projectRoot, '.agent-os', 'config.yml')
+    ];
+    this.config = {};
+  }
+
+  /**
+   * Load config files; the project config overrides the plugin config
+   */
+  async load() {
+    let config = {};
+
+    for (const path of this.paths) {
+      if (!existsSync(path)) continue;
+
+      try {
+        const parsed = yaml.load(await readFile(path, 'utf8'));
+        config = deepMerge(config, parsed || {});
+      } catch (error) {
+        console.error(`Error loading config ${path}:`, error.message);
+      }
+    }
+
+    this.config = config;
+    return config;
+  }
+
+  /**
+   * Get the chat_claude section of the config
+   */
+  get chatClaude() {
+    return this.config.chat_claude || {};
+  }
+
+  /**
+   * Resolve retry settings for transient API errors
+   * chat_claude.retry overrides autonomous_mode.error_recovery.max_retries
+   */
+  getRetrySettings() {
+    const errorRecovery = this.config.autonomous_mode?.error_recovery || {};
+    const retry = this.chatClaude.retry || {};
+    const recoveryRetries = errorRecovery.enabled === false ? 0 : errorRecovery.max_retries;
+
+    return {
+      max_retries: retry.max_retries ?? recoveryRetries ?? 3,
+      base_delay_ms: retry.base_delay_ms ?? 1000,
+      max_delay_ms: retry.max_delay_ms ?? 60000
+    };
+  }
+
+  /**
+   * Resolve context assembly settings
+   */
+  getContextSettings() {
+    const context = this.chatClaude.context || {};
+
+    return {
+      token_budget: context.token_budget ?? 20000,
+      max_files: context.max_files ?? 50
+    };
+  }
+
+  /**
+   * Resolve JSON output settings
+   */
+  getJsonOutputSettings() {
+    const jsonOutput = this.chatClaude.json_output || {};
+
+    return {
+      max_validation_retries: jsonOutput.max_validation_retries ?? 2
+    };
+  }
+
+  /**
+   * Resolve output verification settings
+   * Truncated replies are continued by default; the reviewer pass is opt-in
+   */
+  getVerificationSettings() {
+    const verification = this.chatClaude.verification || {};
+
+    return {
+      continue_truncated: verification.continue_truncated ?? DEFAULT_VERIFICATION_SETTINGS.continue_truncated,
+      max_continuations: verification.max_continuations ?? DEFAULT_VERIFICATION_SETTINGS.max_continuations,
+      review: verification.review ?? DEFAULT_VERIFICATION_SETTINGS.review,
+      require_review: verification.require_review ?? DEFAULT_VERIFICATION_SETTINGS.require_review,
+      review_model: verification.review_model ?? DEFAULT_VERIFICATION_SETTINGS.review_model,
+      max_auto_revisions: verification.max_auto_revisions ?? DEFAULT_VERIFICATION_SETTINGS.max_auto_revisions
+    };
+  }
+
+  /**
+   * Resolve attachment limits
+   * Sizes are in MB of file data; base64 encoding adds a third on the wire
+   */
+  getAttachmentSettings() {
+    const attachments = this.chatClaude.attachments || {};
+
+    return {
+      max_files: attachments.max_files ?? 10,
+      max_image_mb: attachments.max_image_mb ?? 5,
+      max_pdf_mb: attachments.max_pdf_mb ?? 24,
+      max_total_mb: attachments.max_total_mb ?? 24
+    };
+  }
+
+  /**
+   * Resolve how clients reach the server
+   * CHAT_CLAUDE_TRANSPORT, CHAT_CLAUDE_HOST and CHAT_CLAUDE_PORT override the config file.
+   * Each HTTP client is { token_env } naming the environment variable that holds its bearer token.
+   */
+  getTransportSettings() {
+    const transport = this.chatClaude.transport || {};
+    const http = transport.http || {};
+
+    return {
+      mode: process.env.CHAT_CLAUDE_TRANSPORT || transport.mode || 'stdio',
+      host: process.env.CHAT_CLAUDE_HOST || http.host || '127.0.0.1',
+      port: parseInt(process.env.CHAT_CLAUDE_PORT || http.port || 3717, 10),
+      clients: http.clients || {}
+    };
+  }
+
+  /**
+   * Resolve result file settings
+   * A format of null stores JSON tasks as .json and everything else as .md
+   */
+  getResultSettings() {
+    const results = this.chatClaude.results || {};
+
+    return {
+      format: results.format || null
+    };
+  }
+
+  /**
+   * Resolve result cache settings
+   * A ttl_hours of null keeps cached results until clear_cache
+   */
+  getCacheSettings() {
+    const cache = this.chatClaude.cache || {};
+
+    return {
+      enabled: cache.enabled !== false,
+      ttl_hours: cache.ttl_hours === undefined ? 24 : cache.ttl_hours
+    };
+  }
+
+  /**
+   * Resolve retention rules for prune_results
+   * Days to keep settled tasks by status; null keeps them forever
+   */
+  getRetentionSettings() {
+    const retention = this.chatClaude.retention || {};
+    const days = (key, fallback) => retention[key] === undefined ? fallback : retention[key];
+
+    return {
+      rules: {
+        completed: days('completed_days', 90),
+        failed: days('failed_days', 7),
+        cancelled: days('cancelled_days', 7)
+      },
+      action: retention.action === 'archive' ? 'archive' : 'delete',
+      prune_on_start: retention.prune_on_start === true
+    };
+  }
+
+  /**
+   * Resolve usage tracking, pricing and budget settings
+   * Budget caps are in USD; unset caps are not enforced
+   */
+  getUsageSettings() {
+    const budget = this.chatClaude.budget || {};
+
+    return {
+      track: this.config.context?.track_token_usage !== false,
+      pricing: this.chatClaude.pricing || {},
+      budget: {
+        daily_usd: budget.daily_usd ?? null,
+        per_spec_usd: budget.per_spec_usd ?? null
+      }
+    };
+  }
+
+  /**
+   * Resolve provider configs by name
+   * The built-in anthropic and echo providers can be overridden or extended by chat_claude.providers
+   */
+  getProviderSettings() {
+    return deepMerge(BUILTIN_PROVIDERS, this.chatClaude.providers || {});
+  }
+
+  /**
+   * Resolve model settings for a task
+   * Precedence: built-in defaults < chat_claude.defaults < the task type definition
+   * < chat_claude.task_types[type] < CHAT_CLAUDE_PROVIDER (provider only) < overrides.
+   * A provider with its own `model` pins that model unless the call passes `model`.
+   * @param {string} task_type - Task type whose defaults apply
+   * @param {Object} overrides - Per-call values (provider, model, max_tokens, temperature, system_prompt_append)
+   * @param {Object} [typeSettings] - Model settings from the task type definition (see TaskTypeRegistry)
+   */
+  getTaskSettings(task_type, overrides = {}, typeSettings = {}) {
+    const overridden = pickTaskSettings(overrides);
+    const settings = {
+      ...DEFAULT_TASK_SETTINGS,
+      ...pickTaskSettings(this.chatClaude.defaults),
+      ...pickTaskSettings(typeSettings),
+      ...pickTaskSettings(this.chatClaude.task_types?.[task_type]),
+      ...pickTaskSettings({ provider: process.env.CHAT_CLAUDE_PROVIDER || undefined }),
+      ...overridden
+    };
+
+    const providerModel = this.getProviderSettings()[settings.provider]?.model;
+    if (providerModel && overridden.model === undefined) {
+      settings.model = providerModel;
+    }
+
+    return settings;
+  }
+}
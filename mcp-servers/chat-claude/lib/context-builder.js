@@ -0,0 +1,290 @@
+/**
+ * Context Builder
+ * Assembles project documents into a structured context block for delegated tasks
+ */
+
+import { readFile, readdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, relative, extname, basename, sep } from 'path';
+import { PLUGIN_ROOT } from './config.js';
+
+// Rough characters-per-token ratio used for budgeting
+const CHARS_PER_TOKEN = 4;
+
+// Spec documents in the order they're most useful to a delegate
+const SPEC_FILES = ['srd.md', 'specs.md', 'spec.md', 'tasks.md'];
+
+// Directories never worth walking for include_files
+const IGNORED_DIRS = new Set(['node_modules', '.git', '.next', 'dist', 'build', 'coverage']);
+
+/**
+ * Estimate the token count of a string
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Convert a glob pattern to a RegExp matched against forward-slash relative paths
+ * Supports **, *, ? and {a,b} alternation
+ */
+export function globToRegExp(pattern) {
+  let regex = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories, a trailing "**" matches everything
+        if (pattern[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else {
+          regex += '.*';
+          i += 1;
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        regex += '\\{';
+      } else {
+        const options = pattern.slice(i + 1, end).split(',').map(option => option.replace(/[.+^$()|[\]\\]/g, '\\$&'));
+        regex += `(?:${options.join('|')})`;
+        i = end;
+      }
+    } else {
+      regex += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${regex}$`);
+}
+
+export class ContextBuilder {
+  /**
+   * @param {string} projectRoot - Project root directory
+   * @param {TaskManager} taskManager - Used to locate the current spec
+   */
+  constructor(projectRoot, taskManager) {
+    this.projectRoot = projectRoot;
+    this.taskManager = taskManager;
+  }
+
+  /**
+   * Assemble the requested project documents into one context block
+   * @param {Object} options
+   * @param {boolean} [options.include_mission] - Include .agent-os/product/mission.md
+   * @param {boolean} [options.include_spec] - Include the spec's documents
+   * @param {string|null} [options.spec_dir] - Spec to include; defaults to the current spec
+   * @param {boolean|string[]} [options.include_standards] - true for all standards, or globs relative to standards/
+   * @param {string[]} [options.include_files] - Globs of project files relative to the project root
+   * @param {number} options.token_budget - Maximum tokens for the whole block
+   * @param {number} options.max_files - Maximum number of files matched by include_files
+   * @returns {Promise<Object>} - { text, report, tokens_used, token_budget }; report lists each source and how much of it fit
+   */
+  async build({ include_mission, include_spec, spec_dir, include_standards, include_files, token_budget, max_files }) {
+    const sections = [];
+
+    if (include_mission) {
+      const missionPath = join(this.projectRoot, '.agent-os', 'product', 'mission.md');
+      sections.push({
+        title: 'Product Mission',
+        documents: existsSync(missionPath) ? [await this.readDocument(missionPath)] : [],
+        missing: existsSync(missionPath) ? null : relative(this.projectRoot, missionPath)
+      });
+    }
+
+    if (include_spec) {
+      const specDir = spec_dir !== undefined ? spec_dir : await this.taskManager.findCurrentSpec();
+      const documents = [];
+
+      if (specDir) {
+        for (const name of SPEC_FILES) {
+          const path = join(specDir, name);
+          if (existsSync(path)) {
+            documents.push(await this.readDocument(path));
+          }
+        }
+      }
+
+      sections.push({
+        title: specDir ? `Spec: ${basename(specDir)}` : 'Spec',
+        documents,
+        missing: specDir ? null : '.agent-os/specs/*'
+      });
+    }
+
+    if (include_standards) {
+      const patterns = Array.isArray(include_standards) ? include_standards : ['**/*.md'];
+      const paths = await this.findStandards(patterns);
+
+      sections.push({
+        title: 'Standards',
+        documents: await Promise.all(paths.map(path => this.readDocument(path))),
+        missing: paths.length === 0 ? `standards/{${patterns.join(',')}}` : null
+      });
+    }
+
+    if (include_files?.length) {
+      const { paths, limited } = await this.findFiles(this.projectRoot, include_files, max_files);
+
+      sections.push({
+        title: 'Source Files',
+        documents: await Promise.all(paths.map(path => this.readDocument(path, { fenced: true }))),
+        missing: paths.length === 0 ? include_files.join(', ') : null,
+        limited: limited ? `only the first ${max_files} matching files were considered` : null
+      });
+    }
+
+    return this.render(sections, token_budget);
+  }
+
+  /**
+   * Render sections within the token budget, truncating whatever doesn't fit
+   */
+  render(sections, tokenBudget) {
+    const report = [];
+    let remaining = tokenBudget;
+    let text = '# Project Documents\n\n';
+
+    for (const section of sections) {
+      if (section.missing) {
+        report.push({ source: section.missing, status: 'not found' });
+      }
+
+      if (section.limited) {
+        report.push({ source: section.title, status: section.limited });
+      }
+
+      // The section heading is only written once a document actually fits
+      let headingWritten = false;
+
+      for (const doc of section.documents) {
+        if (doc.binary) {
+          report.push({ source: doc.source, status: 'skipped (binary)', tokens: 0, included_tokens: 0 });
+          continue;
+        }
+
+        const tokens = estimateTokens(doc.body);
+
+        if (remaining <= 0) {
+          report.push({ source: doc.source, status: 'omitted', tokens, included_tokens: 0 });
+          continue;
+        }
+
+        let body = doc.body;
+        let status = 'included';
+
+        if (tokens > remaining) {
+          body = body.slice(0, remaining * CHARS_PER_TOKEN) + '\n\n[... truncated to fit the context budget ...]';
+          status = 'truncated';
+        }
+
+        const included_tokens = Math.min(tokens, remaining);
+        remaining -= included_tokens;
+
+        if (!headingWritten) {
+          text += `## ${section.title}\n\n`;
+          headingWritten = true;
+        }
+
+        text += `### ${doc.source}\n\n`;
+        text += doc.fenced ? `\`\`\`${doc.language}\n${body}\n\`\`\`\n\n` : `${body}\n\n`;
+
+        report.push({ source: doc.source, status, tokens, included_tokens });
+      }
+    }
+
+    return {
+      text: report.some(entry => entry.included_tokens > 0) ? text.trimEnd() : '',
+      report,
+      tokens_used: tokenBudget - remaining,
+      token_budget: tokenBudget
+    };
+  }
+
+  /**
+   * Read a document and label it with a project-relative source path
+   */
+  async readDocument(path, { fenced = false } = {}) {
+    const body = (await readFile(path, 'utf8')).trim();
+    const source = path.startsWith(this.projectRoot)
+      ? relative(this.projectRoot, path).split(sep).join('/')
+      : `standards/${relative(join(PLUGIN_ROOT, 'standards'), path).split(sep).join('/')}`;
+
+    return {
+      source,
+      body,
+      fenced,
+      binary: body.includes('\u0000'),
+      language: extname(path).slice(1)
+    };
+  }
+
+  /**
+   * Find standards files; project standards in .agent-os/standards shadow plugin ones
+   */
+  async findStandards(patterns) {
+    const found = new Map();
+
+    for (const dir of [join(PLUGIN_ROOT, 'standards'), join(this.projectRoot, '.agent-os', 'standards')]) {
+      if (!existsSync(dir)) continue;
+
+      const { paths } = await this.findFiles(dir, patterns, Infinity);
+      for (const path of paths) {
+        found.set(relative(dir, path), path);
+      }
+    }
+
+    return Array.from(found.values());
+  }
+
+  /**
+   * Walk a directory and return files whose relative path matches any glob
+   * @returns {Promise<Object>} - { paths, limited } where limited is true if max_files was hit
+   */
+  async findFiles(rootDir, patterns, maxFiles) {
+    const regexes = patterns.map(globToRegExp);
+    const paths = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await readdir(dir, { withFileTypes: true });
+      } catch {
+        return false;
+      }
+
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+
+      for (const entry of entries) {
+        const path = join(dir, entry.name);
+
+        if (entry.isDirectory()) {
+          if (!IGNORED_DIRS.has(entry.name) && await walk(path)) {
+            return true;
+          }
+        } else if (entry.isFile()) {
+          const rel = relative(rootDir, path).split(sep).join('/');
+          if (regexes.some(regex => regex.test(rel))) {
+            if (paths.length >= maxFiles) {
+              return true;
+            }
+            paths.push(path);
+          }
+        }
+      }
+
+      return false;
+    };
+
+    const limited = await walk(rootDir);
+    return { paths, limited };
+  }
+}
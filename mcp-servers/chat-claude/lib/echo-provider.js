@@ -0,0 +1,120 @@
+/**
+ * Echo Provider
+ * Deterministic offline provider: replies with a fixture file or echoes the request back
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { isAbsolute, join, relative, resolve } from 'path';
+
+// Fixture extensions, in lookup order
+const FIXTURE_EXTENSIONS = ['.md', '.json', '.txt'];
+
+export class EchoProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.fixtures_dir] - Directory of canned responses, relative to the project root
+   * @param {number} [options.delay_ms] - Simulated latency before replying
+   * @param {string} [options.projectRoot] - Base for a relative fixtures_dir
+   */
+  constructor({ fixtures_dir, delay_ms = 0, projectRoot = process.cwd() } = {}) {
+    this.fixturesDir = fixtures_dir ? resolve(projectRoot, fixtures_dir) : null;
+    this.delayMs = delay_ms;
+  }
+
+  /**
+   * Reply to a request without calling any API
+   * Fixtures are looked up as <task_id>-v<version>, <task_id>, then <task_type>, each with .md, .json or .txt
+   * @param {Object} params - { model, max_tokens, temperature, system, messages } in Messages API form
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the simulated delay
+   * @param {Function} [options.onText] - Called with the reply text
+   * @param {Object} [options.task] - { task_id, task_type, version, output_format } of the task being run
+   * @returns {Promise<Object>} - { model, content, stop_reason, usage }
+   */
+  async createMessage(params, { signal, onText, task = {} } = {}) {
+    await this.sleep(signal);
+
+    // Attachments are echoed as a placeholder naming their type and size
+    const last = params.messages[params.messages.length - 1];
+    const request = typeof last.content === 'string'
+      ? last.content
+      : last.content.map(block => block.type === 'text'
+        ? block.text
+        : `[${block.type}: ${block.source?.media_type}, ${Buffer.byteLength(block.source?.data || '', 'base64')} bytes]`).join('\n\n');
+
+    const text = await this.readFixture(task) ?? (task.output_format === 'json'
+      ? JSON.stringify({ echo: request })
+      : `Echo from ${params.model}:\n\n${request}`);
+
+    onText?.(text);
+
+    // Nothing is spent, so nothing lands in the usage ledger
+    return {
+      model: params.model,
+      content: [{ type: 'text', text }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 0, output_tokens: 0 }
+    };
+  }
+
+  /**
+   * Find the most specific fixture for a task
+   * @returns {Promise<string|null>}
+   */
+  async readFixture({ task_id, task_type, version }) {
+    if (!this.fixturesDir) {
+      return null;
+    }
+
+    const names = [
+      task_id && version > 1 ? `${task_id}-v${version}` : null,
+      task_id,
+      task_type
+    ].filter(Boolean);
+
+    for (const name of names) {
+      for (const ext of FIXTURE_EXTENSIONS) {
+        // Task IDs are caller-supplied; "../" in one must not reach files outside the fixtures
+        const path = join(this.fixturesDir, `${name}${ext}`);
+        const rel = relative(this.fixturesDir, path);
+        if (rel.startsWith('..') || isAbsolute(rel)) {
+          continue;
+        }
+
+        if (existsSync(path)) {
+          return readFile(path, 'utf8');
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Wait out the simulated latency
+   * @throws {Error} - AbortError if the signal aborts first
+   */
+  sleep(signal) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const abort = () => {
+        clearTimeout(timer);
+        const error = new Error('Request was aborted');
+        error.name = 'AbortError';
+        reject(error);
+      };
+
+      if (signal?.aborted) {
+        return abort();
+      }
+
+      timer = setTimeout(() => {
+        signal?.removeEventListener('abort', abort);
+        resolve();
+      }, this.delayMs);
+
+      signal?.addEventListener('abort', abort, { once: true });
+    });
+  }
+}
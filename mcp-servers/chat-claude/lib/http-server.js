@@ -0,0 +1,164 @@
+/**
+ * HTTP Server
+ * Serves MCP over HTTP with server-sent events, so several clients can share one server process
+ */
+
+import { createServer } from 'http';
+import { timingSafeEqual } from 'crypto';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+
+// A client opens its event stream here, then posts its messages to the endpoint the stream announces
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+
+/**
+ * Compare two tokens in constant time
+ */
+function tokensMatch(given, expected) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * End a request with a plain-text status
+ */
+function reply(res, status, message, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'text/plain', ...headers }).end(message);
+}
+
+export class McpHttpServer {
+  /**
+   * @param {Object} settings - { host, port, clients } from ServerConfig.getTransportSettings
+   * @param {Function} connect - Called with (transport, client) for each new event stream; connects an MCP server to it
+   */
+  constructor({ host, port, clients }, connect) {
+    this.host = host;
+    this.port = port;
+    this.clients = clients;
+    this.connect = connect;
+    this.tokens = new Map();
+    this.sessions = new Map();
+    this.httpServer = null;
+  }
+
+  /**
+   * Read each client's token from its environment variable
+   * @returns {string[]} - Warnings for clients whose token isn't set
+   */
+  loadTokens() {
+    const warnings = [];
+    this.tokens.clear();
+
+    for (const [client, { token_env } = {}] of Object.entries(this.clients)) {
+      const token = token_env ? process.env[token_env] : null;
+      if (!token) {
+        warnings.push(`client "${client}" can't connect: ${token_env ? `${token_env} is not set` : 'no token_env configured'}`);
+        continue;
+      }
+      this.tokens.set(token, client);
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string[]>} - Names of the clients that can connect
+   * @throws {Error} - If no client has a token, or the port can't be bound
+   */
+  async start() {
+    this.loadTokens().forEach(warning => console.error(`WARNING: ${warning}`));
+    if (this.tokens.size === 0) {
+      throw new Error('HTTP transport needs at least one client token; configure chat_claude.transport.http.clients');
+    }
+
+    this.httpServer = createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        console.error(`HTTP request failed: ${error.message}`);
+        if (!res.headersSent) {
+          reply(res, 500, 'Internal server error');
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, resolve);
+    });
+
+    return [...new Set(this.tokens.values())];
+  }
+
+  /**
+   * Client name for the request's bearer token, or null if it has none or an unknown one
+   */
+  authenticate(req) {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    if (!match) {
+      return null;
+    }
+
+    for (const [token, client] of this.tokens) {
+      if (tokensMatch(match[1], token)) {
+        return client;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Route a request
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ status: 'ok' }));
+      return;
+    }
+
+    if (url.pathname !== SSE_PATH && url.pathname !== MESSAGES_PATH) {
+      reply(res, 404, 'Not found');
+      return;
+    }
+
+    const client = this.authenticate(req);
+    if (!client) {
+      reply(res, 401, 'Missing or invalid bearer token', { 'WWW-Authenticate': 'Bearer' });
+      return;
+    }
+
+    if (url.pathname === SSE_PATH) {
+      if (req.method !== 'GET') {
+        reply(res, 405, 'Use GET to open the event stream', { Allow: 'GET' });
+        return;
+      }
+
+      const transport = new SSEServerTransport(MESSAGES_PATH, res);
+      this.sessions.set(transport.sessionId, { transport, client });
+      res.on('close', () => this.sessions.delete(transport.sessionId));
+      await this.connect(transport, client);
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      reply(res, 405, 'Use POST to send messages', { Allow: 'POST' });
+      return;
+    }
+
+    const session = this.sessions.get(url.searchParams.get('sessionId'));
+    if (!session) {
+      reply(res, 404, 'Unknown session; open a new event stream');
+      return;
+    }
+
+    // A session belongs to the client that opened it
+    if (session.client !== client) {
+      reply(res, 403, 'Session belongs to another client');
+      return;
+    }
+
+    await session.transport.handlePostMessage(req, res);
+  }
+}
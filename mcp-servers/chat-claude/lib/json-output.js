@@ -0,0 +1,100 @@
+/**
+ * JSON Output
+ * Parses model output as JSON and validates it against a JSON Schema
+ */
+
+import Ajv from 'ajv';
+
+export class JsonOutputValidator {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    this.compiled = new Map();
+  }
+
+  /**
+   * Compile a schema, caching by its serialized form
+   * @throws {Error} - If the schema itself is invalid
+   */
+  compile(schema) {
+    const key = JSON.stringify(schema);
+
+    if (!this.compiled.has(key)) {
+      this.compiled.set(key, this.ajv.compile(schema));
+    }
+
+    return this.compiled.get(key);
+  }
+
+  /**
+   * Check that a schema compiles
+   * @returns {string|null} - Error message, or null if the schema is usable
+   */
+  checkSchema(schema) {
+    try {
+      this.compile(schema);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Extract a JSON value from model output
+   * Accepts bare JSON, a fenced ```json block, or JSON surrounded by prose
+   * @returns {Object} - { ok, value } or { ok: false, error }
+   */
+  parse(text) {
+    const candidates = [text.trim()];
+
+    const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)\n?```/);
+    if (fenced) {
+      candidates.push(fenced[1].trim());
+    }
+
+    // Outermost object or array, for output wrapped in explanations
+    const start = text.search(/[[{]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      candidates.push(text.slice(start, end + 1));
+    }
+
+    let lastError;
+    for (const candidate of candidates) {
+      try {
+        return { ok: true, value: JSON.parse(candidate) };
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    return { ok: false, error: `Output is not valid JSON: ${lastError.message}` };
+  }
+
+  /**
+   * Parse and validate model output
+   * @param {string} text - Raw model output
+   * @param {Object} [schema] - JSON Schema; when omitted only parsing is checked
+   * @returns {Object} - { valid, value, errors } where errors is a list of messages
+   */
+  check(text, schema) {
+    const parsed = this.parse(text);
+    if (!parsed.ok) {
+      return { valid: false, errors: [parsed.error] };
+    }
+
+    if (!schema) {
+      return { valid: true, value: parsed.value, errors: [] };
+    }
+
+    const validate = this.compile(schema);
+    if (validate(parsed.value)) {
+      return { valid: true, value: parsed.value, errors: [] };
+    }
+
+    return {
+      valid: false,
+      value: parsed.value,
+      errors: validate.errors.map(error => `${error.instancePath || '(root)'} ${error.message}`)
+    };
+  }
+}
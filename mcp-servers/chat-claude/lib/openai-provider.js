@@ -0,0 +1,180 @@
+/**
+ * OpenAI-compatible Provider
+ * Sends requests to any /chat/completions endpoint (OpenAI, Ollama, vLLM, LM Studio, ...)
+ */
+
+// OpenAI finish reasons mapped to Messages API stop reasons
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  content_filter: 'refusal',
+  tool_calls: 'tool_use'
+};
+
+/**
+ * Non-2xx response from an OpenAI-compatible endpoint
+ * Carries status and headers so the retry policy can classify it and honour retry-after
+ */
+export class ProviderHTTPError extends Error {
+  constructor(status, body, headers) {
+    super(`HTTP ${status}${body ? `: ${body.slice(0, 500)}` : ''}`);
+    this.name = 'ProviderHTTPError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Convert Messages API content into chat message content
+ * Text-only content is flattened to a string; images become data-URL image parts and PDFs file parts
+ */
+function toContent(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  if (content.every(block => block.type === 'text')) {
+    return content.map(block => block.text).join('\n\n');
+  }
+
+  return content.map(block => {
+    const dataUrl = block.source && `data:${block.source.media_type};base64,${block.source.data}`;
+
+    switch (block.type) {
+      case 'image':
+        return { type: 'image_url', image_url: { url: dataUrl } };
+      case 'document':
+        return { type: 'file', file: { filename: 'document.pdf', file_data: dataUrl } };
+      default:
+        return { type: 'text', text: block.text ?? '' };
+    }
+  });
+}
+
+export class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.base_url - API base URL including the version prefix, e.g. http://localhost:11434/v1
+   * @param {string} [options.api_key_env] - Environment variable holding the API key; local servers usually need none
+   */
+  constructor({ base_url, api_key_env } = {}) {
+    if (!base_url) {
+      throw new Error('base_url is required for an openai provider');
+    }
+
+    this.baseUrl = base_url.replace(/\/+$/, '');
+    this.apiKey = api_key_env ? process.env[api_key_env] : null;
+
+    if (api_key_env && !this.apiKey) {
+      throw new Error(`${api_key_env} is not set`);
+    }
+  }
+
+  /**
+   * Run one streaming chat completion, returned in Messages API form
+   * @param {Object} params - { model, max_tokens, temperature, system, messages } in Messages API form
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @param {Function} [options.onText] - Called with each text delta
+   * @returns {Promise<Object>} - { model, content, stop_reason, usage }
+   */
+  async createMessage(params, { signal, onText } = {}) {
+    const body = {
+      model: params.model,
+      max_tokens: params.max_tokens,
+      messages: [
+        ...(params.system ? [{ role: 'system', content: params.system }] : []),
+        ...params.messages.map(message => ({ role: message.role, content: toContent(message.content) }))
+      ],
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+
+    if (params.temperature !== undefined) {
+      body.temperature = params.temperature;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          ...(this.apiKey ? { authorization: `Bearer ${this.apiKey}` } : {})
+        },
+        body: JSON.stringify(body),
+        signal
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+
+      // fetch reports every network failure as "fetch failed"; surface the underlying cause
+      throw new Error(`Could not reach ${this.baseUrl}: ${error.cause?.message || error.message}`, { cause: error.cause || error });
+    }
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new ProviderHTTPError(response.status, text, response.headers);
+    }
+
+    let text = '';
+    let model = params.model;
+    let finishReason = null;
+    let usage = null;
+
+    // Server-sent events: "data: {json}" lines, terminated by "data: [DONE]"
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+
+        if (!line.startsWith('data:')) continue;
+
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') continue;
+
+        // Some servers interleave keep-alives or other non-JSON data lines; they carry no output
+        let event;
+        try {
+          event = JSON.parse(data);
+        } catch {
+          continue;
+        }
+
+        if (event.error) {
+          throw new Error(event.error.message || JSON.stringify(event.error));
+        }
+
+        model = event.model || model;
+        usage = event.usage || usage;
+
+        const choice = event.choices?.[0];
+        if (choice?.delta?.content) {
+          text += choice.delta.content;
+          onText?.(choice.delta.content);
+        }
+        if (choice?.finish_reason) {
+          finishReason = choice.finish_reason;
+        }
+      }
+    }
+
+    return {
+      model,
+      content: [{ type: 'text', text }],
+      stop_reason: STOP_REASONS[finishReason] || finishReason,
+      usage: {
+        input_tokens: usage?.prompt_tokens || 0,
+        output_tokens: usage?.completion_tokens || 0
+      }
+    };
+  }
+}
@@ -0,0 +1,297 @@
+/**
+ * Prompt Library
+ * Loads delegation recipes from prompts.yml files and renders them into delegate_task requests
+ */
+
+import { readFile, stat } from 'fs/promises';
+import { watchFile } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { PLUGIN_ROOT } from './config.js';
+
+// Recipes that ship with the server
+const BUILTIN_PROMPTS_PATH = join(dirname(fileURLToPath(import.meta.url)), '..', 'prompts.yml');
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// delegate_task arguments a recipe may preset
+const OPTION_KEYS = [
+  'output_format', 'output_schema', 'result_format', 'provider', 'model', 'max_tokens', 'temperature',
+  'system_prompt_append', 'include_mission', 'include_spec', 'include_standards', 'include_files',
+  'context_token_budget', 'spec', 'review', 'require_review'
+];
+
+// Longest generated task ID
+const MAX_TASK_ID_LENGTH = 60;
+
+/**
+ * Check one recipe definition
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateRecipe(name, recipe) {
+  if (!NAME_PATTERN.test(name)) {
+    return 'names may only contain letters, digits, "-" and "_"';
+  }
+  if (typeof recipe.task_type !== 'string') {
+    return 'task_type is required';
+  }
+  if (typeof recipe.request !== 'string') {
+    return 'request is required';
+  }
+
+  const args = recipe.arguments ?? {};
+  if (typeof args !== 'object' || Array.isArray(args)) {
+    return 'arguments must be a mapping of name to { description, required, default }';
+  }
+  for (const [arg, spec] of Object.entries(args)) {
+    if (!NAME_PATTERN.test(arg) || (spec !== null && (typeof spec !== 'object' || Array.isArray(spec)))) {
+      return `argument "${arg}" must be a mapping of { description, required, default }`;
+    }
+  }
+
+  if (recipe.sources !== undefined && (!Array.isArray(recipe.sources) ||
+    recipe.sources.some(source => typeof source !== 'string' || source.startsWith('/') || source.split('#')[0].split('/').includes('..')))) {
+    return 'sources must be a list of paths relative to .agent-os/ or the plugin root';
+  }
+
+  const unknown = Object.keys(recipe.options ?? {}).filter(key => !OPTION_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return `unknown options ${unknown.join(', ')} (allowed: ${OPTION_KEYS.join(', ')})`;
+  }
+
+  return null;
+}
+
+/**
+ * Fill {{name}} placeholders and {{#name}}...{{/name}} sections
+ * Sections are kept only when their value is non-empty; unknown placeholders become empty
+ */
+function fillPlaceholders(text, values) {
+  return text
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, name, inner) => values[name] ? inner : '')
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => values[name] ?? '');
+}
+
+/**
+ * Take the section under a heading, up to the next heading of the same or a higher level
+ * @returns {string|null} - The section including its heading, or null if the heading isn't there
+ */
+function extractSection(markdown, heading) {
+  const lines = markdown.split('\n');
+  const wanted = heading.trim().toLowerCase();
+  const start = lines.findIndex(line => /^#{1,6}\s/.test(line) && line.replace(/^#+/, '').trim().toLowerCase() === wanted);
+  if (start === -1) {
+    return null;
+  }
+
+  const level = lines[start].match(/^#+/)[0].length;
+  let end = start + 1;
+  let inFence = false;
+  for (; end < lines.length; end++) {
+    if (/^\s*```/.test(lines[end])) inFence = !inFence;
+    const match = !inFence && lines[end].match(/^(#{1,6})\s/);
+    if (match && match[1].length <= level) break;
+  }
+
+  return lines.slice(start, end).join('\n').trim();
+}
+
+/**
+ * Turn text into a task ID
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, MAX_TASK_ID_LENGTH).replace(/^-+|-+$/g, '');
+}
+
+export class PromptLibrary {
+  /**
+   * @param {string} projectRoot - Project recipes in .agent-os/prompts.yml extend and override the others
+   */
+  constructor(projectRoot) {
+    // Later files win; a recipe set to null in a later file is removed
+    this.paths = [
+      BUILTIN_PROMPTS_PATH,
+      join(PLUGIN_ROOT, 'prompts.yml'),
+      join(projectRoot, '.agent-os', 'prompts.yml')
+    ];
+    // Sources are looked up in the project first, so it can shadow plugin skills and templates
+    this.sourceDirs = [
+      join(projectRoot, '.agent-os'),
+      PLUGIN_ROOT
+    ];
+    this.recipes = new Map();
+    this.mtimes = null;
+    this.warnings = [];
+  }
+
+  /**
+   * Load recipes if any file changed since the last load
+   * @returns {Promise<boolean>} - Whether the recipes were reloaded
+   */
+  async refresh() {
+    const mtimes = await Promise.all(this.paths.map(path => stat(path).then(stats => stats.mtimeMs, () => null)));
+    if (this.mtimes && mtimes.every((mtime, index) => mtime === this.mtimes[index])) {
+      return false;
+    }
+
+    this.mtimes = mtimes;
+    await this.load();
+    return true;
+  }
+
+  /**
+   * Reload whenever a recipes file is created, edited or removed
+   * @param {Function} onChange - Called after the recipes were reloaded
+   */
+  watch(onChange) {
+    for (const path of this.paths) {
+      watchFile(path, { interval: 2000, persistent: false }, async () => {
+        if (await this.refresh()) {
+          onChange();
+        }
+      });
+    }
+  }
+
+  /**
+   * Read every recipes file and rebuild the library
+   * Invalid recipes are skipped and reported in `warnings`
+   */
+  async load() {
+    const merged = {};
+    const warnings = [];
+
+    for (const path of this.paths) {
+      let doc;
+      try {
+        doc = yaml.load(await readFile(path, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          warnings.push(`${path}: ${error.message}`);
+        }
+        continue;
+      }
+
+      for (const [name, recipe] of Object.entries(doc?.prompts || {})) {
+        if (recipe !== null && (typeof recipe !== 'object' || Array.isArray(recipe))) {
+          warnings.push(`Prompt "${name}" in ${path} skipped: definition must be a mapping`);
+          continue;
+        }
+        merged[name] = recipe === null ? null : { ...merged[name], ...recipe };
+      }
+    }
+
+    const recipes = new Map();
+    for (const [name, recipe] of Object.entries(merged)) {
+      if (recipe === null) continue;
+
+      const error = validateRecipe(name, recipe);
+      if (error) {
+        warnings.push(`Prompt "${name}" skipped: ${error}`);
+        continue;
+      }
+
+      recipes.set(name, { name, ...recipe });
+    }
+
+    this.recipes = recipes;
+    this.warnings = warnings;
+    warnings.forEach(warning => console.error(`WARNING: ${warning}`));
+  }
+
+  /**
+   * Prompts for prompts/list
+   * @returns {Array<Object>} - [{ name, description, arguments: [{ name, description, required }] }]
+   */
+  list() {
+    return Array.from(this.recipes.values()).map(recipe => ({
+      name: recipe.name,
+      description: recipe.description,
+      arguments: Object.entries(recipe.arguments || {}).map(([name, spec]) => ({
+        name,
+        description: spec?.default !== undefined
+          ? `${spec.description || name} (default: ${spec.default})`
+          : spec?.description,
+        required: spec?.required === true
+      }))
+    }));
+  }
+
+  /**
+   * Fill in a recipe
+   * @param {string} name - Recipe name
+   * @param {Object} [args] - Argument values by name; missing ones take their default
+   * @returns {Promise<Object>} - { recipe, request } where request holds the delegate_task arguments
+   * @throws {Error} - If the recipe is unknown, a required argument is missing or a source can't be read
+   */
+  async render(name, args = {}) {
+    const recipe = this.recipes.get(name);
+    if (!recipe) {
+      throw new Error(`Unknown prompt "${name}" (defined: ${Array.from(this.recipes.keys()).join(', ')})`);
+    }
+
+    const values = { date: new Date().toISOString().slice(0, 10) };
+    for (const [arg, spec] of Object.entries(recipe.arguments || {})) {
+      const value = typeof args[arg] === 'string' ? args[arg].trim() : '';
+      if (!value && spec?.required) {
+        throw new Error(`Prompt "${name}" requires the "${arg}" argument`);
+      }
+      values[arg] = value || (spec?.default !== undefined ? String(spec.default) : '');
+    }
+
+    let description = fillPlaceholders(recipe.request, values);
+    for (const source of recipe.sources || []) {
+      description += `\n\n---\n\n## Reference: ${source}\n\n${await this.readSource(source)}`;
+    }
+
+    const options = {};
+    for (const [key, value] of Object.entries(recipe.options || {})) {
+      const filled = typeof value === 'string' ? fillPlaceholders(value, values).trim() : value;
+      if (filled !== '') {
+        options[key] = filled;
+      }
+    }
+
+    const task_id = slugify(fillPlaceholders(recipe.task_id || `${name}-{{date}}`, values)) || `${name}-${values.date}`;
+
+    return {
+      recipe,
+      request: {
+        task_id,
+        task_type: recipe.task_type,
+        description: description.replace(/\n{3,}/g, '\n\n').trim(),
+        ...options
+      }
+    };
+  }
+
+  /**
+   * Read a recipe source, or one section of it for "path#Heading"
+   * @throws {Error} - If the file or heading isn't found
+   */
+  async readSource(source) {
+    const [path, heading] = source.split('#');
+
+    for (const dir of this.sourceDirs) {
+      let text;
+      try {
+        text = await readFile(join(dir, path), 'utf8');
+      } catch {
+        continue;
+      }
+
+      if (!heading) {
+        return text.trim();
+      }
+
+      const section = extractSection(text, heading);
+      if (section === null) {
+        throw new Error(`Heading "${heading}" not found in ${path}`);
+      }
+      return section;
+    }
+
+    throw new Error(`Source ${path} not found in ${this.sourceDirs.join(' or ')}`);
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Providers
+ * Creates LLM provider backends from chat_claude.providers config
+ *
+ * A provider exposes createMessage(params, { signal, onText, task }) taking and
+ * returning Messages API shaped requests and responses, so ClaudeAPIClient can
+ * build prompts, retry and validate the same way whatever the backend.
+ */
+
+import { AnthropicProvider } from './anthropic-provider.js';
+import { OpenAICompatibleProvider } from './openai-provider.js';
+import { EchoProvider } from './echo-provider.js';
+
+// Provider implementations by config `type`
+const PROVIDER_TYPES = {
+  anthropic: AnthropicProvider,
+  openai: OpenAICompatibleProvider,
+  echo: EchoProvider
+};
+
+// Highest sampling temperature each provider type accepts; the lowest is always 0
+const MAX_TEMPERATURES = {
+  anthropic: 1,
+  openai: 2,
+  echo: 2
+};
+
+export class ProviderRegistry {
+  /**
+   * @param {Object} configs - Provider configs by name, each with a `type` and type-specific options
+   * @param {string} projectRoot - Base for relative paths in provider options
+   */
+  constructor(configs, projectRoot) {
+    this.configs = configs;
+    this.projectRoot = projectRoot;
+    this.instances = new Map();
+  }
+
+  /**
+   * Check whether a provider name is configured
+   */
+  has(name) {
+    return Object.hasOwn(this.configs, name);
+  }
+
+  /**
+   * Configured provider names
+   */
+  names() {
+    return Object.keys(this.configs);
+  }
+
+  /**
+   * Get a provider, creating it on first use
+   * Providers are created lazily so a missing key only affects tasks that use that provider
+   * @throws {Error} - If the provider is unknown or can't be created (e.g. its API key is missing)
+   */
+  get(name) {
+    if (this.instances.has(name)) {
+      return this.instances.get(name);
+    }
+
+    if (!this.has(name)) {
+      throw new Error(`Unknown provider "${name}" (configured: ${this.names().join(', ')})`);
+    }
+
+    const config = this.configs[name];
+    const Provider = PROVIDER_TYPES[config.type];
+    if (!Provider) {
+      throw new Error(`Provider "${name}" has unknown type "${config.type}" (expected one of: ${Object.keys(PROVIDER_TYPES).join(', ')})`);
+    }
+
+    try {
+      const provider = new Provider({ ...config, projectRoot: this.projectRoot });
+      this.instances.set(name, provider);
+      return provider;
+    } catch (error) {
+      throw new Error(`Provider "${name}" is unavailable: ${error.message}`);
+    }
+  }
+
+  /**
+   * Highest temperature a configured provider accepts
+   * @returns {number|null} - null if the provider is unknown
+   */
+  getMaxTemperature(name) {
+    return this.has(name) ? MAX_TEMPERATURES[this.configs[name].type] ?? null : null;
+  }
+
+  /**
+   * Check that a provider can be used
+   * @returns {string|null} - Error message, or null if the provider is ready
+   */
+  check(name) {
+    try {
+      this.get(name);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+}
@@ -0,0 +1,344 @@
+/**
+ * Result Documents
+ * Renders delegated results as .md (YAML front matter), .json or .html files and parses them back
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, relative, sep } from 'path';
+import yaml from 'js-yaml';
+import { PLUGIN_ROOT } from './config.js';
+
+// File formats a result can be stored as
+export const RESULT_FORMATS = ['md', 'json', 'html'];
+
+// Used when no template file exists for a task type
+const DEFAULT_TEMPLATE = `# {{description}}
+
+{{content}}
+`;
+
+// Markdown results wrap the generated content in these so it can be recovered from any template
+const CONTENT_START = '<!-- chat-claude:content -->';
+const CONTENT_END = '<!-- /chat-claude:content -->';
+
+// HTML results embed the JSON envelope in this element
+const HTML_ENVELOPE_ID = 'chat-claude-result';
+
+/**
+ * Whether a line is one of the content markers
+ * They are the only HTML passed through to HTML results; any other markup is escaped like text
+ */
+function isContentMarker(line) {
+  const text = line.trim();
+  return text === CONTENT_START || text === CONTENT_END;
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Link schemes allowed in HTML results; links without a scheme are relative and always allowed
+const SAFE_LINK_SCHEMES = ['http', 'https', 'mailto'];
+
+/**
+ * Undo escapeHtml
+ */
+function unescapeHtml(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&gt;/g, '>')
+    .replace(/&lt;/g, '<')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Check a link target for an HTML result
+ * @param {string} href - The target as it appears in escaped text
+ * @returns {string|null} - The target escaped for an attribute, or null if its scheme isn't allowed
+ */
+function safeHref(href) {
+  const raw = unescapeHtml(href);
+  // Browsers ignore control characters and whitespace in a scheme ("java\tscript:")
+  const scheme = raw.replace(/[\u0000-\u0020]/g, '').match(/^([^/?#]*?):/);
+  if (scheme && !SAFE_LINK_SCHEMES.includes(scheme[1].toLowerCase())) {
+    return null;
+  }
+  return escapeHtml(raw);
+}
+
+/**
+ * Render inline markdown: code spans, bold, italics and links
+ * Links with an unsafe scheme (e.g. javascript:) are rendered as their text only
+ */
+function renderInline(text) {
+  const codeSpans = [];
+  const hrefs = [];
+  const html = escapeHtml(text).replace(/`([^`]+)`/g, (_, code) => {
+    codeSpans.push(`<code>${code}</code>`);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+
+  // Link targets are set aside so the emphasis rules below can't change them
+  return html
+    .replace(/\[([^\]]+)\]\(([^)\s\u0000]+)\)/g, (_, label, href) => {
+      const safe = safeHref(href);
+      if (safe === null) {
+        return label;
+      }
+      hrefs.push(safe);
+      return `<a href="\u0001${hrefs.length - 1}\u0001">${label}</a>`;
+    })
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+    .replace(/\u0001(\d+)\u0001/g, (_, index) => hrefs[index])
+    .replace(/\u0000(\d+)\u0000/g, (_, index) => codeSpans[index]);
+}
+
+/**
+ * Convert the markdown subset models produce (headings, lists, tables, code, quotes) to HTML
+ */
+export function markdownToHtml(markdown) {
+  const lines = markdown.split('\n');
+  const out = [];
+  let i = 0;
+
+  const isTableDivider = (line) => /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line);
+  const cells = (line) => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (/^\s*```/.test(line)) {
+      const lang = line.trim().slice(3).trim();
+      const code = [];
+      for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) {
+        code.push(lines[i]);
+      }
+      i++;
+      out.push(`<pre><code${lang ? ` class="language-${escapeHtml(lang)}"` : ''}>${escapeHtml(code.join('\n'))}</code></pre>`);
+    } else if (isContentMarker(line)) {
+      out.push(line.trim());
+      i++;
+    } else if (/^#{1,6}\s/.test(line)) {
+      const level = line.match(/^#+/)[0].length;
+      out.push(`<h${level}>${renderInline(line.slice(level).trim())}</h${level}>`);
+      i++;
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      out.push('<hr>');
+      i++;
+    } else if (line.includes('|') && isTableDivider(lines[i + 1] || '')) {
+      const header = cells(line);
+      const rows = [];
+      for (i += 2; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) {
+        rows.push(cells(lines[i]));
+      }
+      out.push('<table>');
+      out.push(`<thead><tr>${header.map(cell => `<th>${renderInline(cell)}</th>`).join('')}</tr></thead>`);
+      out.push(`<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${renderInline(cell)}</td>`).join('')}</tr>`).join('')}</tbody>`);
+      out.push('</table>');
+    } else if (/^\s*>/.test(line)) {
+      const quote = [];
+      for (; i < lines.length && /^\s*>/.test(lines[i]); i++) {
+        quote.push(lines[i].replace(/^\s*>\s?/, ''));
+      }
+      out.push(`<blockquote>${markdownToHtml(quote.join('\n'))}</blockquote>`);
+    } else if (/^\s*([-*+]|\d+[.)])\s+/.test(line)) {
+      const ordered = /^\s*\d/.test(line);
+      const items = [];
+      for (; i < lines.length && /^\s*([-*+]|\d+[.)])\s+/.test(lines[i]); i++) {
+        items.push(lines[i].replace(/^\s*([-*+]|\d+[.)])\s+/, ''));
+      }
+      const tag = ordered ? 'ol' : 'ul';
+      out.push(`<${tag}>${items.map(item => {
+        const task = item.match(/^\[([ xX])\]\s+(.*)$/);
+        return task
+          ? `<li><input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> ${renderInline(task[2])}</li>`
+          : `<li>${renderInline(item)}</li>`;
+      }).join('')}</${tag}>`);
+    } else if (!line.trim()) {
+      i++;
+    } else {
+      const paragraph = [line.trim()];
+      for (i++; i < lines.length && lines[i].trim() && !isContentMarker(lines[i]) && !/^\s*(```|#{1,6}\s|>|[-*+]\s|\d+[.)]\s)/.test(lines[i]); i++) {
+        paragraph.push(lines[i].trim());
+      }
+      out.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+    }
+  }
+
+  return out.join('\n');
+}
+
+/**
+ * Fill {{name}} placeholders; unknown names are left as they are
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    values[name] !== undefined && values[name] !== null ? String(values[name]) : match);
+}
+
+/**
+ * Render a result document
+ * @param {Object} meta - Task metadata written to the front matter or envelope
+ * @param {string|*} content - Markdown content, or the parsed value for JSON tasks
+ * @param {Object} options
+ * @param {string} options.format - md, json or html
+ * @param {string} [options.template] - Markdown template with {{placeholders}}; not used for .json
+ * @returns {string}
+ */
+export function renderResultDocument(meta, content, { format, template = DEFAULT_TEMPLATE }) {
+  // Drop unset fields so the metadata stays readable
+  const metadata = Object.fromEntries(Object.entries(meta).filter(([, value]) => value !== undefined));
+
+  if (format === 'json') {
+    return JSON.stringify({ ...metadata, result: content }, null, 2) + '\n';
+  }
+
+  const text = typeof content === 'string' ? content : `\`\`\`json\n${JSON.stringify(content, null, 2)}\n\`\`\``;
+  const placeholder = `\u0000content\u0000`;
+  const filled = /\{\{\s*content\s*\}\}/.test(template)
+    ? template
+    : `${template.trimEnd()}\n\n{{content}}\n`;
+  const body = fillTemplate(filled, {
+    ...metadata,
+    date: (metadata.completed_at || metadata.created_at || new Date().toISOString()).slice(0, 10),
+    content: placeholder
+  });
+
+  if (format === 'html') {
+    // The envelope keeps the raw result, so the HTML view never has to be parsed back
+    const envelope = JSON.stringify({ ...metadata, result: content }).replace(/</g, '\\u003c');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(metadata.description || metadata.task_id)}</title>
+<script type="application/json" id="${HTML_ENVELOPE_ID}">${envelope}</script>
+</head>
+<body>
+<main>
+${markdownToHtml(body.replace(placeholder, () => text.trim()))}
+</main>
+</body>
+</html>
+`;
+  }
+
+  return `---\n${yaml.dump(metadata, { lineWidth: -1 })}---\n\n${body.replace(placeholder, () => `${CONTENT_START}\n\n${text.trim()}\n\n${CONTENT_END}`).trimEnd()}\n`;
+}
+
+/**
+ * Parse a result document back into its metadata and content
+ * Also reads the bold-label markdown layout written before front matter was introduced
+ * @param {string} doc - File contents
+ * @param {string} format - md, json or html
+ * @returns {Object|null} - { meta, content } where content is the parsed value for JSON tasks, or null if unrecognised
+ */
+export function parseResultDocument(doc, format) {
+  if (format === 'json' || format === 'html') {
+    let envelope;
+    try {
+      envelope = JSON.parse(format === 'json'
+        ? doc
+        : doc.match(new RegExp(`<script type="application/json" id="${HTML_ENVELOPE_ID}">([\\s\\S]*?)</script>`))?.[1]);
+    } catch {
+      return null;
+    }
+
+    const { result, ...meta } = envelope || {};
+    return { meta, content: result };
+  }
+
+  const frontMatter = doc.match(/^---\n([\s\S]*?)\n---\n/);
+  if (frontMatter) {
+    let meta;
+    try {
+      // Core schema keeps timestamps as strings
+      meta = yaml.load(frontMatter[1], { schema: yaml.CORE_SCHEMA });
+    } catch {
+      return null;
+    }
+
+    const rest = doc.slice(frontMatter[0].length);
+    const start = rest.indexOf(CONTENT_START);
+    const end = rest.lastIndexOf(CONTENT_END);
+    let content = (start !== -1 && end > start ? rest.slice(start + CONTENT_START.length, end) : rest).trim();
+
+    if (meta?.output_format === 'json') {
+      try {
+        content = JSON.parse(content.replace(/^```(?:json)?\s*\n/, '').replace(/\n```$/, ''));
+      } catch {
+        // Keep the text; callers treat it as unparsed
+      }
+    }
+
+    return { meta: meta || {}, content };
+  }
+
+  // Legacy layout: "# description", "**Label**: value" lines, then "---" around the content
+  const field = (label) => doc.match(new RegExp(`^\\*\\*${label}\\*\\*: (.*)$`, 'm'))?.[1].trim();
+  const value = (label) => {
+    const found = field(label);
+    return found && found !== 'N/A' ? found : null;
+  };
+
+  const start = doc.indexOf('\n---\n\n');
+  const end = doc.lastIndexOf('\n\n---\n\n*Generated by');
+
+  return {
+    meta: {
+      task_id: field('Task ID'),
+      task_type: field('Type'),
+      description: doc.match(/^# (.*)$/m)?.[1].trim() || '',
+      status: field('Status'),
+      created_at: field('Created'),
+      completed_at: value('Completed'),
+      provider: value('Provider'),
+      model: value('Model'),
+      version: parseInt(field('Version') || '1', 10)
+    },
+    content: start !== -1 && end > start ? doc.slice(start + 6, end) : doc
+  };
+}
+
+export class ResultTemplates {
+  /**
+   * @param {string} projectRoot - Project templates in .agent-os/templates/results shadow plugin ones
+   */
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot;
+    this.dirs = [
+      join(projectRoot, '.agent-os', 'templates', 'results'),
+      join(PLUGIN_ROOT, 'templates', 'results')
+    ];
+  }
+
+  /**
+   * Load the template for a task type
+   * Read on every call so template edits apply to the next result without a restart
+   * @param {string} task_type - Looks for <task_type>.md, then default.md
+   * @param {string} [name] - Template file named by the task type definition, tried first
+   * @returns {Promise<Object>} - { text, source } where source is the template's path, or null for the built-in layout
+   */
+  async load(task_type, name = null) {
+    for (const candidate of [name, `${task_type}.md`, 'default.md'].filter(Boolean)) {
+      for (const dir of this.dirs) {
+        const path = join(dir, candidate);
+        if (existsSync(path)) {
+          const base = path.startsWith(this.projectRoot + sep) ? this.projectRoot : PLUGIN_ROOT;
+          return { text: await readFile(path, 'utf8'), source: relative(base, path).split(sep).join('/') };
+        }
+      }
+    }
+
+    return { text: DEFAULT_TEMPLATE, source: null };
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * Result Index
+ * Full-text index over stored delegated results with BM25 ranking and snippets
+ */
+
+import { readdir, stat } from 'fs/promises';
+import { join, basename, dirname } from 'path';
+import { getResultFormat } from './task-manager.js';
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Description terms count this many times, so a match in what was asked outranks a passing mention
+const DESCRIPTION_WEIGHT = 2;
+
+const SNIPPET_LENGTH = 240;
+const MAX_SNIPPETS = 2;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'how', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'we', 'what', 'when', 'which', 'with'
+]);
+
+/**
+ * Reduce a word to a crude stem so "limiting", "limited" and "limits" all match "limit"
+ */
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text into stemmed search terms
+ */
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Parse a query into terms and "quoted phrases"
+ */
+function parseQuery(query) {
+  const phrases = [...query.matchAll(/"([^"]+)"/g)].map(match => match[1].toLowerCase().trim()).filter(Boolean);
+  return { terms: [...new Set(tokenize(query))], phrases };
+}
+
+export class ResultIndex {
+  /**
+   * @param {TaskManager} taskManager - Source of result directories, file metadata and result-stored events
+   */
+  constructor(taskManager) {
+    this.taskManager = taskManager;
+    this.docs = new Map();
+    this.totalLength = 0;
+
+    // New results are indexed as soon as they're written, and dropped as soon as they're removed
+    taskManager.on('result-stored', ({ filepath }) => {
+      this.indexFile(filepath).catch(error => console.error(`Error indexing ${filepath}:`, error));
+    });
+    taskManager.on('result-removed', ({ filepath }) => this.remove(filepath));
+  }
+
+  /**
+   * Bring the index up to date with the result directories
+   * Only files that are new or changed since they were indexed are read
+   */
+  async refresh() {
+    const dirs = [this.taskManager.resultsDir, ...await this.taskManager.listSpecResultDirs()];
+    const seen = new Set();
+
+    for (const dir of dirs) {
+      let files;
+      try {
+        files = await readdir(dir);
+      } catch {
+        continue;
+      }
+
+      for (const file of files) {
+        if (!getResultFormat(file)) continue;
+
+        const filepath = join(dir, file);
+        seen.add(filepath);
+
+        try {
+          const { mtimeMs } = await stat(filepath);
+          if (this.docs.get(filepath)?.mtimeMs !== mtimeMs) {
+            await this.indexFile(filepath, mtimeMs);
+          }
+        } catch (error) {
+          console.error(`Error indexing ${filepath}:`, error);
+        }
+      }
+    }
+
+    for (const filepath of this.docs.keys()) {
+      if (!seen.has(filepath)) {
+        this.remove(filepath);
+      }
+    }
+  }
+
+  /**
+   * Index one result file, replacing any earlier entry for it
+   */
+  async indexFile(filepath, mtimeMs) {
+    const record = await this.taskManager.parseResultFile(filepath);
+    if (!record) {
+      return;
+    }
+
+    const { content } = await this.taskManager.readResultDocument(filepath);
+    const body = typeof content === 'string' ? content : JSON.stringify(content, null, 2);
+
+    // Results in .agent-os/specs/<spec>/delegated-results belong to that spec
+    const resultDir = dirname(filepath);
+    const spec = basename(resultDir) === 'delegated-results' && basename(dirname(dirname(resultDir))) === 'specs'
+      ? basename(dirname(resultDir))
+      : this.taskManager.getTask(record.task_id)?.spec || null;
+
+    const terms = [
+      ...Array(DESCRIPTION_WEIGHT).fill(tokenize(record.description)).flat(),
+      ...tokenize(body)
+    ];
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+
+    this.remove(filepath);
+    this.docs.set(filepath, {
+      filepath,
+      task_id: record.task_id,
+      task_type: record.task_type,
+      description: record.description,
+      spec,
+      version: record.version,
+      completed_at: record.metadata.completed_at || record.updated_at,
+      body,
+      frequencies,
+      length: terms.length,
+      mtimeMs: mtimeMs ?? (await stat(filepath)).mtimeMs
+    });
+    this.totalLength += terms.length;
+  }
+
+  /**
+   * Drop a file from the index
+   */
+  remove(filepath) {
+    const doc = this.docs.get(filepath);
+    if (doc) {
+      this.totalLength -= doc.length;
+      this.docs.delete(filepath);
+    }
+  }
+
+  /**
+   * Search indexed results
+   * @param {string} query - Keywords and optional "quoted phrases"; every phrase must appear
+   * @param {Object} [filters]
+   * @param {string} [filters.task_type] - Only results of this task type
+   * @param {string} [filters.spec] - Only results belonging to this spec directory
+   * @param {string} [filters.since] - First completion day to include (YYYY-MM-DD)
+   * @param {string} [filters.until] - Last completion day to include (YYYY-MM-DD)
+   * @param {number} [filters.limit] - Maximum results
+   * @returns {Promise<Object>} - { total_indexed, matches: [{ ...doc fields, score, snippets }] }
+   */
+  async search(query, { task_type, spec, since, until, limit = 10 } = {}) {
+    await this.refresh();
+
+    const { terms, phrases } = parseQuery(query);
+    const docs = Array.from(this.docs.values()).filter(doc => {
+      const day = (doc.completed_at || '').slice(0, 10);
+      return (!task_type || doc.task_type === task_type) &&
+        (!spec || doc.spec === spec) &&
+        (!since || day >= since) &&
+        (!until || day <= until);
+    });
+
+    const averageLength = this.docs.size > 0 ? this.totalLength / this.docs.size : 0;
+    const documentFrequency = (term) => Array.from(this.docs.values()).filter(doc => doc.frequencies.has(term)).length;
+    const idf = new Map(terms.map(term => {
+      const df = documentFrequency(term);
+      return [term, Math.log(1 + (this.docs.size - df + 0.5) / (df + 0.5))];
+    }));
+
+    const scored = [];
+    for (const doc of docs) {
+      const text = `${doc.description}\n${doc.body}`.toLowerCase();
+      if (!phrases.every(phrase => text.includes(phrase))) continue;
+
+      let score = 0;
+      for (const term of terms) {
+        const tf = doc.frequencies.get(term) || 0;
+        if (tf === 0) continue;
+        score += idf.get(term) * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / averageLength));
+      }
+
+      // A phrase-only query still ranks its matches
+      if (score > 0 || (terms.length === 0 && phrases.length > 0)) {
+        scored.push({ doc, score });
+      }
+    }
+
+    // Several versions of one task: keep the best-scoring one
+    const best = new Map();
+    for (const entry of scored) {
+      const current = best.get(entry.doc.task_id);
+      if (!current || entry.score > current.score) {
+        best.set(entry.doc.task_id, entry);
+      }
+    }
+
+    const matches = Array.from(best.values())
+      .sort((a, b) => b.score - a.score || (b.doc.completed_at || '').localeCompare(a.doc.completed_at || ''))
+      .slice(0, limit)
+      .map(({ doc, score }) => {
+        const { body, frequencies, length, mtimeMs, ...fields } = doc;
+        return { ...fields, score, snippets: this.getSnippets(body, terms, phrases) };
+      });
+
+    return { total_indexed: this.docs.size, matches };
+  }
+
+  /**
+   * Pick the paragraphs that match the most query terms and trim them around the first match
+   */
+  getSnippets(body, terms, phrases) {
+    const matchesTerm = (word) => terms.includes(stem(word.toLowerCase()));
+
+    return body
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .map(paragraph => {
+        const lower = paragraph.toLowerCase();
+        const words = paragraph.match(/[\p{L}\p{N}]+/gu) || [];
+        const hits = new Set(words.filter(matchesTerm).map(word => stem(word.toLowerCase())));
+        const phraseHits = phrases.filter(phrase => lower.includes(phrase)).length;
+        return { paragraph, hits: hits.size + phraseHits };
+      })
+      .filter(entry => entry.hits > 0)
+      .sort((a, b) => b.hits - a.hits)
+      .slice(0, MAX_SNIPPETS)
+      .map(({ paragraph }) => {
+        const lower = paragraph.toLowerCase();
+        const first = Math.min(...[
+          ...phrases.map(phrase => lower.indexOf(phrase)),
+          ...(paragraph.match(/[\p{L}\p{N}]+/gu) || []).filter(matchesTerm).map(word => lower.indexOf(word.toLowerCase()))
+        ].filter(index => index !== -1));
+
+        const start = Math.max(0, first - SNIPPET_LENGTH / 3);
+        let snippet = paragraph.slice(start, start + SNIPPET_LENGTH);
+        if (start > 0) snippet = `…${snippet}`;
+        if (start + SNIPPET_LENGTH < paragraph.length) snippet = `${snippet}…`;
+
+        // Bold matched words
+        return snippet.replace(/[\p{L}\p{N}]+/gu, word => matchesTerm(word) ? `**${word}**` : word);
+      });
+  }
+}
@@ -0,0 +1,209 @@
+/**
+ * Result Resources
+ * Exposes stored task results as MCP resources under chat-claude://tasks
+ */
+
+import { readFile } from 'fs/promises';
+import { getResultFormat, SETTLED_STATUSES } from './task-manager.js';
+
+// Listing of every task, with links to the ones that have a result
+export const TASKS_URI = 'chat-claude://tasks';
+
+const TASK_URI_TEMPLATE = `${TASKS_URI}/{task_id}`;
+
+const MIME_TYPES = {
+  md: 'text/markdown',
+  json: 'application/json',
+  html: 'text/html'
+};
+
+/**
+ * Resource URI of a task's result
+ */
+export function getTaskUri(task_id) {
+  return `${TASKS_URI}/${encodeURIComponent(task_id)}`;
+}
+
+/**
+ * Task ID a resource URI points to, or null if it isn't a task URI
+ */
+function parseTaskUri(uri) {
+  return uri.startsWith(`${TASKS_URI}/`) ? decodeURIComponent(uri.slice(TASKS_URI.length + 1)) : null;
+}
+
+export class ResultResources {
+  /**
+   * @param {TaskManager} taskManager - Source of tasks, result files and change events
+   */
+  constructor(taskManager) {
+    this.taskManager = taskManager;
+    // Subscribers of each URI; one per client connection
+    this.subscriptions = new Map();
+    this.statuses = new Map();
+  }
+
+  /**
+   * Resources for resources/list: the listing, then every task with a stored result, newest first
+   */
+  list() {
+    const tasks = this.taskManager.getAllTasks()
+      .filter(task => task.result_filepath)
+      .sort((a, b) => (b.updated_at || '').localeCompare(a.updated_at || ''));
+
+    return [
+      {
+        uri: TASKS_URI,
+        name: 'Delegated tasks',
+        description: 'Every delegated task with its status and, once stored, its result resource URI',
+        mimeType: 'application/json'
+      },
+      ...tasks.map(task => ({
+        uri: getTaskUri(task.task_id),
+        name: `${task.task_id} (${task.task_type})`,
+        description: `${task.status}: ${task.description}`,
+        mimeType: MIME_TYPES[getResultFormat(task.result_filepath)]
+      }))
+    ];
+  }
+
+  /**
+   * Resource templates for resources/templates/list
+   */
+  templates() {
+    return [{
+      uriTemplate: TASK_URI_TEMPLATE,
+      name: 'Delegated task result',
+      description: 'Latest stored result of a delegated task, as written to its result file'
+    }];
+  }
+
+  /**
+   * Read a resource
+   * @param {string} uri - chat-claude://tasks or chat-claude://tasks/<task_id>
+   * @returns {Promise<Object>} - { contents } for resources/read
+   * @throws {Error} - If the URI is unknown or the task has no stored result yet
+   */
+  async read(uri) {
+    if (uri === TASKS_URI) {
+      return {
+        contents: [{
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify({ tasks: this.getListing() }, null, 2)
+        }]
+      };
+    }
+
+    const task_id = parseTaskUri(uri);
+    const task = task_id && this.taskManager.getTask(task_id);
+    if (!task) {
+      throw new Error(`Unknown resource ${uri}`);
+    }
+
+    if (!task.result_filepath) {
+      throw new Error(`Task ${task_id} has no stored result yet (status: ${task.status})`);
+    }
+
+    let text;
+    try {
+      text = await readFile(task.result_filepath, 'utf8');
+    } catch (error) {
+      throw new Error(`Result file of task ${task_id} can't be read: ${error.message}`);
+    }
+
+    return {
+      contents: [{
+        uri,
+        mimeType: MIME_TYPES[getResultFormat(task.result_filepath)],
+        text
+      }]
+    };
+  }
+
+  /**
+   * Summary of every task for the listing resource
+   */
+  getListing() {
+    return this.taskManager.getAllTasks().map(task => ({
+      task_id: task.task_id,
+      task_type: task.task_type,
+      description: task.description,
+      status: task.status,
+      spec: task.spec || null,
+      version: task.version || 1,
+      updated_at: task.updated_at,
+      client: task.client || null,
+      uri: task.result_filepath ? getTaskUri(task.task_id) : null
+    }));
+  }
+
+  /**
+   * Start sending resources/updated notifications for a URI
+   * Task URIs are matched by task ID, however the client encoded them
+   * @param {*} subscriber - Passed back to onUpdated, e.g. the client connection
+   */
+  subscribe(uri, subscriber) {
+    const task_id = parseTaskUri(uri);
+    const key = task_id !== null ? getTaskUri(task_id) : uri;
+    if (!this.subscriptions.has(key)) {
+      this.subscriptions.set(key, new Set());
+    }
+    this.subscriptions.get(key).add(subscriber);
+  }
+
+  /**
+   * Stop sending resources/updated notifications for a URI
+   */
+  unsubscribe(uri, subscriber) {
+    const task_id = parseTaskUri(uri);
+    this.subscriptions.get(task_id !== null ? getTaskUri(task_id) : uri)?.delete(subscriber);
+  }
+
+  /**
+   * Drop every subscription of a subscriber, e.g. when its connection closes
+   */
+  unsubscribeAll(subscriber) {
+    for (const subscribers of this.subscriptions.values()) {
+      subscribers.delete(subscriber);
+    }
+  }
+
+  /**
+   * Report resource changes as tasks settle and result files come and go
+   * @param {Object} handlers
+   * @param {Function} handlers.onUpdated - Called with (uri, subscriber) for each subscriber of a resource that changed
+   * @param {Function} handlers.onListChanged - Called when a result resource appears or disappears
+   */
+  watch({ onUpdated, onListChanged }) {
+    const updated = (uri) => {
+      for (const subscriber of this.subscriptions.get(uri) || []) {
+        onUpdated(uri, subscriber);
+      }
+    };
+
+    for (const task of this.taskManager.getAllTasks()) {
+      this.statuses.set(task.task_id, task.status);
+    }
+
+    // Progress updates don't change a status, so they send nothing
+    this.taskManager.on('task-updated', (task) => {
+      const previous = this.statuses.get(task.task_id);
+      this.statuses.set(task.task_id, task.status);
+      if (previous === task.status) {
+        return;
+      }
+
+      updated(TASKS_URI);
+      if (SETTLED_STATUSES.includes(task.status)) {
+        updated(getTaskUri(task.task_id));
+      }
+    });
+
+    this.taskManager.on('result-stored', () => onListChanged());
+    this.taskManager.on('result-removed', ({ task_id }) => {
+      this.statuses.delete(task_id);
+      updated(TASKS_URI);
+      onListChanged();
+    });
+  }
+}
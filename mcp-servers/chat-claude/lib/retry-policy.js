@@ -0,0 +1,148 @@
+/**
+ * Retry Policy
+ * Classifies provider API errors and computes backoff delays for retries
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+
+// HTTP statuses worth retrying: timeouts, conflicts, rate limits, server errors and overload
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+
+// Error types the API sends in streamed `error` events, which carry no HTTP status
+const RETRYABLE_ERROR_TYPES = ['overloaded_error', 'rate_limit_error', 'api_error'];
+
+export class RetryPolicy {
+  /**
+   * @param {Object} options
+   * @param {number} options.max_retries - Retries after the first attempt
+   * @param {number} options.base_delay_ms - Delay before the first retry
+   * @param {number} options.max_delay_ms - Upper bound for any single delay
+   */
+  constructor({ max_retries = 3, base_delay_ms = 1000, max_delay_ms = 60000 } = {}) {
+    this.maxRetries = Math.max(0, max_retries);
+    this.baseDelayMs = base_delay_ms;
+    this.maxDelayMs = max_delay_ms;
+  }
+
+  /**
+   * Decide whether an error from a provider is worth retrying
+   * Understands Anthropic SDK errors, plus plain errors carrying an HTTP `status` or a socket error code
+   * @returns {Object} - { retryable, reason }
+   */
+  classify(error) {
+    if (error instanceof Anthropic.APIUserAbortError) {
+      return { retryable: false, reason: 'aborted' };
+    }
+
+    if (error instanceof Anthropic.APIConnectionError) {
+      return { retryable: true, reason: 'network error' };
+    }
+
+    if (error instanceof Anthropic.APIError) {
+      if (error.status !== undefined) {
+        return {
+          retryable: RETRYABLE_STATUSES.includes(error.status),
+          reason: `HTTP ${error.status}`
+        };
+      }
+
+      const type = error.error?.error?.type || error.error?.type;
+      if (type) {
+        return { retryable: RETRYABLE_ERROR_TYPES.includes(type), reason: type };
+      }
+    }
+
+    // HTTP errors from providers without an SDK
+    if (typeof error?.status === 'number') {
+      return {
+        retryable: RETRYABLE_STATUSES.includes(error.status),
+        reason: `HTTP ${error.status}`
+      };
+    }
+
+    // Low-level socket failures that surface without an SDK wrapper; fetch nests them in `cause`
+    const code = error?.code || error?.cause?.code;
+    if (['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_SOCKET'].includes(code)) {
+      return { retryable: true, reason: code };
+    }
+
+    return { retryable: false, reason: error?.name || 'unknown error' };
+  }
+
+  /**
+   * Check whether another attempt is allowed after `attempt` failed (1-based)
+   */
+  shouldRetry(attempt, error) {
+    return attempt <= this.maxRetries && this.classify(error).retryable;
+  }
+
+  /**
+   * Delay before the next attempt
+   * Honours retry-after headers, otherwise exponential backoff with full jitter
+   */
+  getDelay(attempt, error) {
+    const retryAfterMs = this.getRetryAfterMs(error);
+    if (retryAfterMs !== null) {
+      return Math.min(retryAfterMs, this.maxDelayMs);
+    }
+
+    const ceiling = Math.min(this.baseDelayMs * 2 ** (attempt - 1), this.maxDelayMs);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Read retry-after-ms / retry-after from the error's response headers
+   * @returns {number|null} - Milliseconds, or null when no usable header is present
+   */
+  getRetryAfterMs(error) {
+    const headers = error?.headers;
+    if (!headers) {
+      return null;
+    }
+
+    const header = (name) => typeof headers.get === 'function' ? headers.get(name) : headers[name];
+
+    const retryAfterMs = parseFloat(header('retry-after-ms'));
+    if (!Number.isNaN(retryAfterMs)) {
+      return Math.max(0, retryAfterMs);
+    }
+
+    const retryAfter = header('retry-after');
+    if (!retryAfter) {
+      return null;
+    }
+
+    const seconds = parseFloat(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    // HTTP-date form
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Sleep for `ms`, waking early if the signal aborts
+   * @returns {Promise<boolean>} - False if aborted
+   */
+  wait(ms, signal) {
+    if (signal?.aborted) {
+      return Promise.resolve(false);
+    }
+
+    return new Promise(resolve => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve(false);
+      };
+
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(true);
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
@@ -3,19 +3,58 @@
  * Manages delegated tasks, their status, and results
  */
 
-import { readFile, writeFile, mkdir } from 'fs/promises';
-import { join, dirname } from 'path';
+import { readFile, writeFile, appendFile, mkdir, readdir, rename, stat, unlink } from 'fs/promises';
+import { join, dirname, basename, extname, relative, sep } from 'path';
 import { existsSync } from 'fs';
+import { EventEmitter } from 'events';
+import { createHash } from 'crypto';
+import { UsageLedger } from './usage-ledger.js';
+import { RESULT_FORMATS, ResultTemplates, renderResultDocument, parseResultDocument } from './result-document.js';
 
-export class TaskManager {
-  constructor(projectRoot) {
+// Statuses that mean a task is still queued or running
+export const ACTIVE_STATUSES = ['pending', 'in_progress'];
+
+// Statuses a task stays in until it is followed up, re-delegated or removed
+// needs_revision: the result failed a required review and waits for a follow-up
+export const SETTLED_STATUSES = ['completed', 'needs_revision', 'failed', 'cancelled'];
+
+/**
+ * File format of a result file from its extension, or null if it isn't one
+ */
+export function getResultFormat(filepath) {
+  const format = extname(filepath).slice(1);
+  return RESULT_FORMATS.includes(format) ? format : null;
+}
+
+export class TaskManager extends EventEmitter {
+  /**
+   * @param {string} projectRoot - Project root directory
+   * @param {Object} [options]
+   * @param {Object} [options.pricing] - Model prices for the usage ledger (see DEFAULT_PRICING)
+   * @param {boolean} [options.trackUsage=true] - Record token usage in the ledger
+   */
+  constructor(projectRoot, { pricing = {}, trackUsage = true } = {}) {
+    super();
     this.projectRoot = projectRoot;
-    this.tasks = new Map(); // In-memory task storage
+    this.tasks = new Map(); // In-memory task storage, mirrored to the journal
     this.resultsDir = join(projectRoot, '.agent-os', 'delegated-results');
+    this.journalPath = join(projectRoot, '.agent-os', 'delegated-tasks.jsonl');
+    this.archiveDir = join(projectRoot, '.agent-os', 'delegated-archive');
+    // Conversation history of each task, one file per task, read back for follow-ups
+    this.conversationsDir = join(projectRoot, '.agent-os', 'delegated-conversations');
+    this.specsDir = join(projectRoot, '.agent-os', 'specs');
+    this.activeSpecPath = join(projectRoot, '.agent-os', 'active-spec');
+    // Result paths claimed by writes still in flight
+    this.reservedPaths = new Set();
+    this.templates = new ResultTemplates(projectRoot);
+    this.journalQueue = Promise.resolve();
+    this.trackUsage = trackUsage;
+    this.usageLedger = new UsageLedger(join(projectRoot, '.agent-os', 'delegated-usage.jsonl'), pricing);
   }
 
   /**
    * Initialize task manager
+   * Reloads the task journal and recovers tasks from existing result files
    */
   async initialize() {
     // Ensure results directory exists
@@ -26,6 +65,266 @@ export class TaskManager {
     } catch (error) {
       console.error('Error creating results directory:', error);
     }
+
+    await this.loadJournal();
+    await this.migrateJournalMessages();
+    await this.recoverFromResultFiles();
+    await this.compactJournal();
+    await this.usageLedger.load();
+  }
+
+  /**
+   * Replay the task journal into memory
+   */
+  async loadJournal() {
+    if (!existsSync(this.journalPath)) {
+      return;
+    }
+
+    try {
+      const lines = (await readFile(this.journalPath, 'utf8')).split('\n');
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          // A crash mid-append can leave a partial last line; skip it
+          continue;
+        }
+
+        if (entry.op === 'delete') {
+          this.tasks.delete(entry.task_id);
+        } else if (entry.op === 'put' && entry.task?.task_id) {
+          this.tasks.set(entry.task.task_id, entry.task);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading task journal:', error);
+    }
+
+    // Anything still running belonged to the previous process and will never finish
+    for (const task of this.tasks.values()) {
+      if (ACTIVE_STATUSES.includes(task.status)) {
+        this.tasks.set(task.task_id, {
+          ...task,
+          status: 'failed',
+          error: 'Interrupted by server restart',
+          updated_at: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  /**
+   * Rebuild task records from result files that the journal doesn't know about
+   */
+  async recoverFromResultFiles() {
+    const dirs = [this.resultsDir, ...(await this.listSpecResultDirs())];
+
+    for (const dir of dirs) {
+      let files;
+      try {
+        files = await readdir(dir);
+      } catch {
+        continue;
+      }
+
+      for (const filename of files.filter(getResultFormat)) {
+        const filepath = join(dir, filename);
+
+        try {
+          const record = await this.parseResultFile(filepath);
+          if (!record) continue;
+
+          const known = this.tasks.get(record.task_id);
+          if (!known) {
+            this.tasks.set(record.task_id, record);
+          } else if (known.recovered) {
+            // Several versions of one task: keep the latest as the task's result
+            const versions = [...known.versions, ...record.versions].sort((a, b) => a.version - b.version);
+            const latest = record.version > known.version ? record : known;
+            this.tasks.set(record.task_id, { ...latest, versions });
+          }
+        } catch (error) {
+          console.error(`Error recovering task from ${filepath}:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Parse the metadata written by storeResult back into a task record
+   */
+  async parseResultFile(filepath) {
+    const meta = (await this.readResultDocument(filepath))?.meta;
+
+    if (!meta?.task_id) {
+      return null;
+    }
+
+    const { mtime } = await stat(filepath);
+    const version = meta.version || 1;
+
+    return {
+      task_id: meta.task_id,
+      task_type: meta.task_type,
+      description: meta.description || '',
+      status: meta.status || 'completed',
+      output_format: meta.output_format || (filepath.endsWith('.json') ? 'json' : 'markdown'),
+      result_format: getResultFormat(filepath),
+      spec: meta.spec || undefined,
+      client: meta.client || undefined,
+      created_at: meta.created_at || mtime.toISOString(),
+      updated_at: mtime.toISOString(),
+      metadata: {
+        completed_at: meta.completed_at || null,
+        model: meta.model || null
+      },
+      result_filepath: filepath,
+      result_filename: basename(filepath),
+      version,
+      versions: [{
+        version,
+        filepath,
+        filename: basename(filepath),
+        completed_at: meta.completed_at || null
+      }],
+      recovered: true
+    };
+  }
+
+  /**
+   * List delegated-results directories of every spec
+   */
+  async listSpecResultDirs() {
+    const specsDir = join(this.projectRoot, '.agent-os', 'specs');
+
+    try {
+      const entries = await readdir(specsDir, { withFileTypes: true });
+      return entries
+        .filter(entry => entry.isDirectory())
+        .map(entry => join(specsDir, entry.name, 'delegated-results'))
+        .filter(dir => existsSync(dir));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Move conversation histories that earlier journals kept on the task record into their own files
+   */
+  async migrateJournalMessages() {
+    for (const task of this.tasks.values()) {
+      if (!task.messages) continue;
+
+      const { messages, ...record } = task;
+      try {
+        if (messages.length > 0) {
+          await this.saveMessages(task.task_id, messages);
+        }
+        this.tasks.set(task.task_id, record);
+      } catch (error) {
+        console.error(`Error moving the conversation of task ${task.task_id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Serialize a task for the journal
+   * Result content (raw or parsed) lives in the result file and the conversation in its own
+   * file (see saveMessages); partial output and assembled context are transient. Every update
+   * appends the whole record, so none of them belong here.
+   */
+  toJournalRecord(task) {
+    const { content, partial_content, parsed_result, assembled_context, messages, ...record } = task;
+    return record;
+  }
+
+  /**
+   * File holding a task's conversation history
+   */
+  getConversationPath(task_id) {
+    return join(this.conversationsDir, `${encodeURIComponent(task_id)}.json`);
+  }
+
+  /**
+   * Store a task's conversation history, replacing any earlier one
+   * @param {Array<Object>} messages - Messages API messages, ending with the last reply
+   */
+  async saveMessages(task_id, messages) {
+    const path = this.getConversationPath(task_id);
+    const tmpPath = `${path}.tmp`;
+
+    await mkdir(this.conversationsDir, { recursive: true });
+    await writeFile(tmpPath, JSON.stringify(messages), 'utf8');
+    await rename(tmpPath, path);
+  }
+
+  /**
+   * Remove a task's conversation history, if any
+   */
+  async deleteMessages(task_id) {
+    await unlink(this.getConversationPath(task_id)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  /**
+   * Read a task's conversation history
+   * @returns {Promise<Array<Object>|null>} - The messages, or null if none are stored
+   */
+  async loadMessages(task_id) {
+    try {
+      return JSON.parse(await readFile(this.getConversationPath(task_id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Append an entry to the journal
+   * Writes are chained so entries land in the order they were made
+   */
+  appendJournal(entry) {
+    this.journalQueue = this.journalQueue
+      .then(() => mkdir(dirname(this.journalPath), { recursive: true }))
+      .then(() => appendFile(this.journalPath, JSON.stringify(entry) + '\n', 'utf8'))
+      .catch(error => console.error('Error writing task journal:', error));
+
+    return this.journalQueue;
+  }
+
+  /**
+   * Rewrite the journal as one entry per known task
+   */
+  async compactJournal() {
+    await this.journalQueue;
+
+    const lines = Array.from(this.tasks.values())
+      .map(task => JSON.stringify({ op: 'put', task: this.toJournalRecord(task) }) + '\n')
+      .join('');
+    const tmpPath = `${this.journalPath}.tmp`;
+
+    try {
+      await mkdir(dirname(this.journalPath), { recursive: true });
+      await writeFile(tmpPath, lines, 'utf8');
+      await rename(tmpPath, this.journalPath);
+    } catch (error) {
+      console.error('Error compacting task journal:', error);
+    }
+  }
+
+  /**
+   * Wait for pending journal writes to finish
+   */
+  async flush() {
+    await this.journalQueue;
   }
 
   /**
@@ -40,13 +339,17 @@ export class TaskManager {
     };
 
     this.tasks.set(task.task_id, taskRecord);
+    this.appendJournal({ op: 'put', task: this.toJournalRecord(taskRecord) });
+    this.emit('task-updated', taskRecord);
     return taskRecord;
   }
 
   /**
    * Update task status
+   * @param {Object} [options]
+   * @param {boolean} [options.persist=true] - Set false for transient updates such as streaming progress
    */
-  updateTask(task_id, updates) {
+  updateTask(task_id, updates, { persist = true } = {}) {
     const task = this.tasks.get(task_id);
     if (!task) {
       throw new Error(`Task ${task_id} not found`);
@@ -59,9 +362,177 @@ export class TaskManager {
     };
 
     this.tasks.set(task_id, updatedTask);
+    if (persist) {
+      this.appendJournal({ op: 'put', task: this.toJournalRecord(updatedTask) });
+    }
+    this.emit('task-updated', updatedTask);
     return updatedTask;
   }
 
+  /**
+   * Record token usage of a task run in the usage ledger
+   */
+  recordUsage(task_id, { model, usage }) {
+    const task = this.getTask(task_id);
+    if (!task || !this.trackUsage) {
+      return null;
+    }
+
+    return this.usageLedger.record({
+      task_id,
+      task_type: task.task_type,
+      spec: task.spec || null,
+      model: model || task.settings?.model,
+      usage
+    });
+  }
+
+  /**
+   * Check whether a task has reached a final status
+   */
+  isSettled(task_id) {
+    const task = this.tasks.get(task_id);
+    return !task || SETTLED_STATUSES.includes(task.status);
+  }
+
+  /**
+   * Wait until all given tasks settle or the timeout expires
+   * Unknown task IDs count as settled so callers don't wait on typos
+   * @returns {Promise<Object>} - { timed_out, tasks } with the latest task records
+   */
+  waitForTasks(task_ids, timeoutMs) {
+    const snapshot = (timed_out) => ({
+      timed_out,
+      tasks: task_ids.map(id => this.tasks.get(id) || { task_id: id, status: 'not_found' })
+    });
+
+    if (task_ids.every(id => this.isSettled(id))) {
+      return Promise.resolve(snapshot(false));
+    }
+
+    return new Promise(resolve => {
+      const finish = (timed_out) => {
+        clearTimeout(timer);
+        this.off('task-updated', onUpdate);
+        resolve(snapshot(timed_out));
+      };
+
+      const onUpdate = () => {
+        if (task_ids.every(id => this.isSettled(id))) {
+          finish(false);
+        }
+      };
+
+      const timer = setTimeout(() => finish(true), timeoutMs);
+      this.on('task-updated', onUpdate);
+    });
+  }
+
+  /**
+   * Find the cycle that making task_id depend on depends_on would create
+   * @param {string} task_id - Task being delegated
+   * @param {string[]} depends_on - Its prerequisite task IDs
+   * @returns {string[]|null} - The cycle as a path of task IDs (first and last are task_id), or null
+   */
+  findDependencyCycle(task_id, depends_on) {
+    const visited = new Set();
+
+    const visit = (id, path) => {
+      if (id === task_id) {
+        return [...path, id];
+      }
+      if (visited.has(id)) {
+        return null;
+      }
+      visited.add(id);
+
+      for (const dep of this.tasks.get(id)?.depends_on || []) {
+        const cycle = visit(dep, [...path, id]);
+        if (cycle) return cycle;
+      }
+      return null;
+    };
+
+    for (const dep of depends_on) {
+      const cycle = visit(dep, [task_id]);
+      if (cycle) return cycle;
+    }
+    return null;
+  }
+
+  /**
+   * Sort a task's dependencies by whether it can still run
+   * @returns {Object} - { waiting, blocked } task IDs; blocked ones failed, were cancelled or no longer exist
+   */
+  getDependencyState(task) {
+    const waiting = [];
+    const blocked = [];
+
+    for (const id of task.depends_on || []) {
+      const status = this.tasks.get(id)?.status;
+      if (status === 'completed') continue;
+
+      if (!status || status === 'failed' || status === 'cancelled') {
+        blocked.push(id);
+      } else {
+        waiting.push(id);
+      }
+    }
+
+    return { waiting, blocked };
+  }
+
+  /**
+   * Content address of a delegation
+   * Whitespace is normalized so re-delegations that only differ in formatting still match
+   */
+  getCacheKey({ task_type, description, context, assembled_context, provider, model, output_format, output_schema, attachments }) {
+    const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+    return createHash('sha256').update(JSON.stringify([
+      normalize(task_type).toLowerCase(),
+      normalize(description),
+      normalize([context, assembled_context].filter(Boolean).join('\n')),
+      provider,
+      model,
+      output_format,
+      output_schema ?? null,
+      // Attachments match by content; left out when there are none so earlier keys stay valid
+      ...(attachments?.length ? [attachments.map(({ path, sha256 }) => `${path}:${sha256}`)] : [])
+    ])).digest('hex');
+  }
+
+  /**
+   * Find the newest completed task with this cache key whose result file still exists
+   * @param {number|null} ttlMs - Maximum age of the result, or null for no expiry
+   * @returns {Object|null}
+   */
+  findCachedTask(cache_key, ttlMs) {
+    const now = Date.now();
+    const completedAt = (task) => Date.parse(task.metadata?.completed_at || task.updated_at);
+
+    return this.getAllTasks('completed')
+      .filter(task => task.cache_key === cache_key && task.result_filepath && existsSync(task.result_filepath))
+      .filter(task => ttlMs === null || now - completedAt(task) <= ttlMs)
+      .sort((a, b) => completedAt(b) - completedAt(a))[0] || null;
+  }
+
+  /**
+   * Forget cache keys so matching delegations run again
+   * @param {Object} [filter] - { task_id, task_type } to clear selectively
+   * @returns {number} - Number of cache entries cleared
+   */
+  clearCache({ task_id, task_type } = {}) {
+    const entries = this.getAllTasks().filter(task =>
+      task.cache_key &&
+      (!task_id || task.task_id === task_id) &&
+      (!task_type || task.task_type === task_type)
+    );
+
+    entries.forEach(task => this.updateTask(task.task_id, { cache_key: undefined }));
+    return entries.length;
+  }
+
   /**
    * Get task by ID
    */
@@ -84,51 +555,225 @@ export class TaskManager {
 
   /**
    * Store task result to file
+   * JSON tasks are written as a .json envelope around the parsed result; everything else as markdown
+   * @param {string|*} content - Markdown/text content, or the parsed value for JSON tasks
+   * @param {string} [filename] - File name; numbered if already taken (defaults to <date>-<task_id>)
+   * @param {string} [dir] - Directory to write into (defaults to the main results directory)
+   * @returns {Promise<string|null>} - Path written, or null if the task was cancelled meanwhile
    */
-  async storeResult(task_id, content, filename = null) {
+  async storeResult(task_id, content, filename = null, dir = this.resultsDir) {
     const task = this.getTask(task_id);
     if (!task) {
       throw new Error(`Task ${task_id} not found`);
     }
 
+    if (task.status === 'cancelled') {
+      throw new Error(`Task ${task_id} was cancelled`);
+    }
+
+    const format = task.result_format || (task.output_format === 'json' ? 'json' : 'md');
+
     // Generate filename if not provided
     if (!filename) {
       const timestamp = new Date().toISOString().split('T')[0];
       const sanitizedId = task_id.replace(/[^a-z0-9-]/gi, '-').toLowerCase();
-      filename = `${timestamp}-${sanitizedId}.md`;
+      filename = `${timestamp}-${sanitizedId}.${format}`;
     }
 
-    const filepath = join(this.resultsDir, filename);
-
-    // Create result document with metadata
-    const resultDoc = `# ${task.description}
+    const version = task.version || 1;
+    const template = format === 'json' ? null : await this.templates.load(task.task_type, task.template);
 
-**Task ID**: ${task_id}
-**Type**: ${task.task_type}
-**Status**: ${task.status}
-**Created**: ${task.created_at}
-**Completed**: ${task.metadata?.completed_at || 'N/A'}
-
----
-
-${content}
+    const resultDoc = renderResultDocument(this.getResultMetadata(task, version, template?.source), content, {
+      format,
+      template: template?.text
+    });
 
----
+    await mkdir(dir, { recursive: true });
+    const filepath = this.reserveResultPath(dir, filename);
+    filename = basename(filepath);
 
-*Generated by Chat Claude via Agent-OS 2.0 parallel workflow system*
-`;
+    // Write to a temp file and rename it into place, so readers never see a partial result
+    const tmpPath = `${filepath}.${process.pid}.tmp`;
+    try {
+      await writeFile(tmpPath, resultDoc, 'utf8');
+      await rename(tmpPath, filepath);
+    } catch (error) {
+      await unlink(tmpPath).catch(() => {});
+      throw error;
+    } finally {
+      this.reservedPaths.delete(filepath);
+    }
 
-    await writeFile(filepath, resultDoc, 'utf8');
+    // Cancelled tasks never keep a result file, even if cancel landed mid-write
+    if (this.getTask(task_id)?.status === 'cancelled') {
+      await unlink(filepath).catch(() => {});
+      return null;
+    }
 
     // Update task with result filepath
     this.updateTask(task_id, {
       result_filepath: filepath,
-      result_filename: filename
+      result_filename: filename,
+      versions: [
+        ...(this.getTask(task_id).versions || []),
+        {
+          version,
+          filepath,
+          filename,
+          completed_at: task.metadata?.completed_at || null
+        }
+      ]
     });
+    this.emit('result-stored', { task_id, filepath });
 
     return filepath;
   }
 
+  /**
+   * Claim a free result path in dir, numbering the name if it's taken on disk or by another write in flight
+   * e.g. 2025-01-15-oauth-research.md -> 2025-01-15-oauth-research-2.md
+   */
+  reserveResultPath(dir, filename) {
+    const ext = extname(filename);
+    const stem = basename(filename, ext);
+
+    let filepath = join(dir, filename);
+    for (let n = 2; existsSync(filepath) || this.reservedPaths.has(filepath); n++) {
+      filepath = join(dir, `${stem}-${n}${ext}`);
+    }
+
+    this.reservedPaths.add(filepath);
+    return filepath;
+  }
+
+  /**
+   * Metadata written to a result file's front matter or JSON envelope
+   * @param {string|null} template - Path of the template the document was laid out with
+   */
+  getResultMetadata(task, version, template) {
+    const review = task.metadata?.review;
+
+    return {
+      task_id: task.task_id,
+      task_type: task.task_type,
+      description: task.description,
+      status: review?.verdict === 'fail' && task.verification?.require_review ? 'needs_revision' : 'completed',
+      output_format: task.output_format,
+      spec: task.spec || undefined,
+      client: task.client || undefined,
+      created_at: task.created_at,
+      completed_at: task.metadata?.completed_at || null,
+      provider: task.settings?.provider || 'anthropic',
+      model: task.metadata?.model || task.settings?.model || null,
+      max_tokens: task.settings?.max_tokens ?? null,
+      temperature: task.settings?.temperature ?? null,
+      version,
+      follow_up: version > 1 ? task.follow_up_message : undefined,
+      template: template || undefined,
+      attachments: task.attachments?.length ? task.attachments : undefined,
+      review: review ? { verdict: review.verdict, reasons: review.reasons } : undefined
+    };
+  }
+
+  /**
+   * Read and parse a result file
+   * @returns {Promise<Object|null>} - { meta, content } (see parseResultDocument), or null if unreadable
+   */
+  async readResultDocument(filepath) {
+    try {
+      return parseResultDocument(await readFile(filepath, 'utf8'), getResultFormat(filepath));
+    } catch (error) {
+      console.error('Error reading result file:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Read the parsed result of a JSON task from memory or its result file
+   * @returns {Promise<*>} - The parsed value, or undefined if unavailable
+   */
+  async getParsedResult(task_id) {
+    const task = this.getTask(task_id);
+    if (!task || task.output_format !== 'json') {
+      return undefined;
+    }
+
+    if (task.parsed_result !== undefined) {
+      return task.parsed_result;
+    }
+
+    if (!task.result_filepath) {
+      return undefined;
+    }
+
+    // A result that never parsed is kept as text in markdown files
+    const content = (await this.readResultDocument(task.result_filepath))?.content;
+    return typeof content === 'string' ? undefined : content;
+  }
+
+  /**
+   * Get the result body of a completed task, without the result file's header and footer
+   * @returns {Promise<Object|null>} - { content, parsed } where parsed is set for JSON tasks
+   */
+  async getResultContent(task_id) {
+    const task = this.getTask(task_id);
+    if (!task) {
+      return null;
+    }
+
+    const parsed = await this.getParsedResult(task_id);
+    if (task.content) {
+      return { content: task.content, parsed };
+    }
+
+    if (parsed !== undefined) {
+      return { content: JSON.stringify(parsed, null, 2), parsed };
+    }
+
+    const doc = task.result_filepath ? await this.readResultDocument(task.result_filepath) : null;
+    if (!doc) {
+      return null;
+    }
+
+    return { content: doc.content, parsed };
+  }
+
+  /**
+   * Store a follow-up revision next to the task's first result file
+   * e.g. 2025-01-15-oauth-research.md -> 2025-01-15-oauth-research-v2.md
+   */
+  async storeResultVersion(task_id, content) {
+    const task = this.getTask(task_id);
+    if (!task) {
+      throw new Error(`Task ${task_id} not found`);
+    }
+
+    const original = task.versions?.[0];
+    if (!original) {
+      return this.storeResultInSpec(task_id, content);
+    }
+
+    const filename = original.filename.replace(/(\.\w+)$/, `-v${task.version}$1`);
+    return this.storeResult(task_id, content, filename, dirname(original.filepath));
+  }
+
+  /**
+   * Read a specific stored version of a task result
+   */
+  async getResultVersion(task_id, version) {
+    const entry = this.getTask(task_id)?.versions?.find(v => v.version === version);
+    if (!entry) {
+      return null;
+    }
+
+    try {
+      return await readFile(entry.filepath, 'utf8');
+    } catch (error) {
+      console.error('Error reading result file:', error);
+      return null;
+    }
+  }
+
   /**
    * Read task result from file
    */
@@ -152,64 +797,264 @@ ${content}
   }
 
   /**
-   * Get current spec directory for storing results
+   * Get the delegated-results directory of a spec, creating it if needed
+   * @param {string|null} spec - Spec directory name; null stores in .agent-os/delegated-results
    */
-  async getCurrentSpecDir() {
-    const specsDir = join(this.projectRoot, '.agent-os', 'specs');
+  async getSpecResultsDir(spec) {
+    if (spec && existsSync(join(this.specsDir, spec))) {
+      const specResultsDir = join(this.specsDir, spec, 'delegated-results');
 
+      try {
+        await mkdir(specResultsDir, { recursive: true });
+        return specResultsDir;
+      } catch (error) {
+        console.error('Error creating spec results directory:', error);
+      }
+    }
+
+    // Fallback to main delegated-results directory
+    return this.resultsDir;
+  }
+
+  /**
+   * List spec directory names under .agent-os/specs
+   */
+  async listSpecs() {
     try {
-      // Find most recent spec directory
-      const { readdir } = await import('fs/promises');
-      const entries = await readdir(specsDir, { withFileTypes: true });
+      const entries = await readdir(this.specsDir, { withFileTypes: true });
+      return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error listing specs:', error);
+      }
+      return [];
+    }
+  }
 
-      const specDirs = entries
-        .filter(entry => entry.isDirectory())
-        .map(entry => entry.name)
-        .sort()
-        .reverse();
+  /**
+   * Choose the spec a task belongs to
+   * An explicit spec wins, then the active spec pointer, then the most recently modified spec
+   * @param {string} [spec] - Spec directory name given by the caller
+   * @returns {Promise<Object>} - { name, dir, rule, warning } where rule is 'explicit', 'active', 'recent' or 'none'
+   * @throws {Error} - If an explicit spec doesn't exist
+   */
+  async resolveSpec(spec) {
+    const specs = await this.listSpecs();
 
-      if (specDirs.length > 0) {
-        const currentSpec = join(specsDir, specDirs[0], 'delegated-results');
+    if (spec) {
+      if (!specs.includes(spec)) {
+        throw new Error(`Spec "${spec}" not found under .agent-os/specs${specs.length > 0 ? ` (available: ${specs.join(', ')})` : ''}`);
+      }
+      return { name: spec, dir: join(this.specsDir, spec), rule: 'explicit', warning: null };
+    }
 
-        // Create delegated-results directory in current spec
-        if (!existsSync(currentSpec)) {
-          await mkdir(currentSpec, { recursive: true });
-        }
+    let warning = null;
+    const active = await this.getActiveSpec();
+    if (active && specs.includes(active)) {
+      return { name: active, dir: join(this.specsDir, active), rule: 'active', warning };
+    }
+    if (active) {
+      warning = `Active spec "${active}" no longer exists; ignoring .agent-os/active-spec`;
+    }
 
-        return currentSpec;
+    // A spec's modification time is the newest of the directory and the files directly in it,
+    // so editing tasks.md marks the spec as the one being worked on
+    let recent = null;
+    for (const name of specs) {
+      const dir = join(this.specsDir, name);
+      try {
+        const entries = await readdir(dir);
+        const times = await Promise.all([dir, ...entries.map(entry => join(dir, entry))]
+          .map(path => stat(path).then(stats => stats.mtimeMs, () => 0)));
+        const mtimeMs = Math.max(...times);
+        if (!recent || mtimeMs > recent.mtimeMs) {
+          recent = { name, mtimeMs };
+        }
+      } catch (error) {
+        console.error(`Error reading spec ${name}:`, error);
       }
+    }
+
+    return recent
+      ? { name: recent.name, dir: join(this.specsDir, recent.name), rule: 'recent', warning }
+      : { name: null, dir: null, rule: 'none', warning };
+  }
+
+  /**
+   * Find the current spec directory under .agent-os/specs
+   * @returns {Promise<string|null>} - Absolute path, or null if there are no specs
+   */
+  async findCurrentSpec() {
+    return (await this.resolveSpec()).dir;
+  }
+
+  /**
+   * Read the active spec pointer
+   * @returns {Promise<string|null>} - Spec directory name, or null if none is set
+   */
+  async getActiveSpec() {
+    try {
+      return (await readFile(this.activeSpecPath, 'utf8')).trim() || null;
     } catch (error) {
-      console.error('Error finding current spec:', error);
+      if (error.code !== 'ENOENT') {
+        console.error('Error reading active spec:', error);
+      }
+      return null;
     }
+  }
 
-    // Fallback to main delegated-results directory
-    return this.resultsDir;
+  /**
+   * Set or clear the active spec pointer
+   * @param {string|null} spec - Spec directory name, or null to clear
+   * @throws {Error} - If the spec doesn't exist
+   */
+  async setActiveSpec(spec) {
+    if (!spec) {
+      await unlink(this.activeSpecPath).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+      return;
+    }
+
+    const specs = await this.listSpecs();
+    if (!specs.includes(spec)) {
+      throw new Error(`Spec "${spec}" not found under .agent-os/specs${specs.length > 0 ? ` (available: ${specs.join(', ')})` : ''}`);
+    }
+
+    await mkdir(dirname(this.activeSpecPath), { recursive: true });
+    await writeFile(this.activeSpecPath, spec + '\n', 'utf8');
   }
 
   /**
-   * Store result in current spec directory
+   * Store result in the delegated-results directory of the task's spec
    */
   async storeResultInSpec(task_id, content, filename = null) {
-    const specResultsDir = await this.getCurrentSpecDir();
-    const originalResultsDir = this.resultsDir;
+    const dir = await this.getSpecResultsDir(this.getTask(task_id)?.spec || null);
+    return this.storeResult(task_id, content, filename, dir);
+  }
 
-    // Temporarily change results directory
-    this.resultsDir = specResultsDir;
+  /**
+   * Delete a task and, unless keepFiles is set, every stored version of its result
+   * Kept files bring the task back as a recovered record on the next start
+   * @returns {Promise<Object|null>} - { task_id, files } with the removed files, or null if the task is unknown
+   */
+  async deleteTask(task_id, { keepFiles = false } = {}) {
+    const task = this.getTask(task_id);
+    if (!task) {
+      return null;
+    }
 
-    try {
-      const filepath = await this.storeResult(task_id, content, filename);
-      return filepath;
-    } finally {
-      // Restore original results directory
-      this.resultsDir = originalResultsDir;
+    const files = keepFiles ? [] : this.getResultFiles(task);
+    for (const filepath of files) {
+      await unlink(filepath).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+      this.emit('result-removed', { task_id, filepath });
+    }
+
+    // A recovered record has no conversation to continue, so it goes either way
+    await this.deleteMessages(task_id);
+
+    this.tasks.delete(task_id);
+    this.appendJournal({ op: 'delete', task_id });
+    return { task_id, files };
+  }
+
+  /**
+   * Move a task's result files into .agent-os/delegated-archive and drop it from the task list
+   * Spec results keep their spec as a subdirectory; the task record is appended to the archive's tasks.jsonl
+   * @returns {Promise<Object|null>} - { task_id, files: [{ from, to }] }, or null if the task is unknown
+   */
+  async archiveTask(task_id) {
+    const task = this.getTask(task_id);
+    if (!task) {
+      return null;
+    }
+
+    const moves = this.getArchivePlan(task);
+    for (const { from, to } of moves) {
+      await mkdir(dirname(to), { recursive: true });
+      await rename(from, to);
+      this.emit('result-removed', { task_id, filepath: from });
+    }
+
+    // The conversation is archived with the results, without counting as a result file
+    const conversationPath = this.getConversationPath(task_id);
+    let conversation_filepath;
+    if (existsSync(conversationPath)) {
+      conversation_filepath = join(this.archiveDir, 'conversations', basename(conversationPath));
+      await mkdir(dirname(conversation_filepath), { recursive: true });
+      await rename(conversationPath, conversation_filepath);
     }
+
+    const moved = new Map(moves.map(({ from, to }) => [from, to]));
+    const record = {
+      ...this.toJournalRecord(task),
+      conversation_filepath,
+      result_filepath: moved.get(task.result_filepath) || task.result_filepath,
+      versions: task.versions?.map(entry => ({ ...entry, filepath: moved.get(entry.filepath) || entry.filepath })),
+      archived_at: new Date().toISOString()
+    };
+
+    await mkdir(this.archiveDir, { recursive: true });
+    await appendFile(join(this.archiveDir, 'tasks.jsonl'), JSON.stringify(record) + '\n', 'utf8');
+
+    this.tasks.delete(task_id);
+    this.appendJournal({ op: 'delete', task_id });
+    return { task_id, files: moves };
+  }
+
+  /**
+   * Work out where archiveTask would move each result file
+   * Names that are already taken in the archive get a numeric suffix
+   */
+  getArchivePlan(task) {
+    const taken = new Set();
+
+    return this.getResultFiles(task).map(from => {
+      const resultDir = dirname(from);
+      const specsDir = join(this.projectRoot, '.agent-os', 'specs');
+      const dir = resultDir.startsWith(specsDir + sep)
+        ? join(this.archiveDir, 'specs', relative(specsDir, dirname(resultDir)))
+        : this.archiveDir;
+
+      const ext = extname(from);
+      let to = join(dir, basename(from));
+      for (let n = 1; existsSync(to) || taken.has(to); n++) {
+        to = join(dir, `${basename(from, ext)}-${n}${ext}`);
+      }
+      taken.add(to);
+
+      return { from, to };
+    });
+  }
+
+  /**
+   * Result files of every stored version of a task that still exist
+   */
+  getResultFiles(task) {
+    const paths = [...(task.versions || []).map(entry => entry.filepath), task.result_filepath].filter(Boolean);
+    return [...new Set(paths)].filter(path => existsSync(path));
+  }
+
+  /**
+   * When a task reached its final status
+   */
+  getSettledAt(task) {
+    return task.metadata?.completed_at || task.cancelled_at || task.updated_at;
   }
 
   /**
-   * Delete task
+   * Find settled tasks older than the retention period for their status
+   * @param {Object} rules - Days to keep by status, e.g. { completed: 90, failed: 7 }; null or missing keeps forever
+   * @returns {Array<Object>} - [{ task, age_days }], oldest first
    */
-  deleteTask(task_id) {
-    return this.tasks.delete(task_id);
+  findExpiredTasks(rules, now = Date.now()) {
+    return this.getAllTasks()
+      .filter(task => SETTLED_STATUSES.includes(task.status) && rules[task.status] != null)
+      .map(task => ({ task, age_days: (now - Date.parse(this.getSettledAt(task))) / 86_400_000 }))
+      .filter(({ task, age_days }) => age_days > rules[task.status])
+      .sort((a, b) => b.age_days - a.age_days);
   }
 
   /**
@@ -223,7 +1068,9 @@ ${content}
       pending: allTasks.filter(t => t.status === 'pending').length,
       in_progress: allTasks.filter(t => t.status === 'in_progress').length,
       completed: allTasks.filter(t => t.status === 'completed').length,
-      failed: allTasks.filter(t => t.status === 'failed').length
+      needs_revision: allTasks.filter(t => t.status === 'needs_revision').length,
+      failed: allTasks.filter(t => t.status === 'failed').length,
+      cancelled: allTasks.filter(t => t.status === 'cancelled').length
     };
   }
 }
@@ -0,0 +1,76 @@
+/**
+ * Task Queue
+ * Runs delegated tasks in the background with bounded concurrency
+ */
+
+export class TaskQueue {
+  /**
+   * @param {Object} options
+   * @param {number} options.concurrency - Maximum number of tasks running at once
+   * @param {Function} options.worker - Async function called with a task_id to execute it
+   */
+  constructor({ concurrency = 2, worker }) {
+    if (typeof worker !== 'function') {
+      throw new Error('TaskQueue requires a worker function');
+    }
+    if (!Number.isInteger(concurrency)) {
+      throw new Error(`TaskQueue concurrency must be an integer (got ${concurrency})`);
+    }
+
+    this.concurrency = Math.max(1, concurrency);
+    this.worker = worker;
+    this.queue = [];
+    this.running = new Set();
+  }
+
+  /**
+   * Queue a task for background execution
+   */
+  enqueue(task_id) {
+    this.queue.push(task_id);
+    this.drain();
+  }
+
+  /**
+   * Remove a task that hasn't started yet
+   * @returns {boolean} - True if the task was still waiting in the queue
+   */
+  remove(task_id) {
+    const index = this.queue.indexOf(task_id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.queue.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Start queued tasks until the concurrency limit is reached
+   */
+  drain() {
+    while (this.running.size < this.concurrency && this.queue.length > 0) {
+      const task_id = this.queue.shift();
+      this.running.add(task_id);
+
+      Promise.resolve()
+        .then(() => this.worker(task_id))
+        .catch(error => console.error(`Error running task ${task_id}:`, error))
+        .finally(() => {
+          this.running.delete(task_id);
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Get queue statistics
+   */
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      queued: this.queue.length,
+      running: this.running.size
+    };
+  }
+}
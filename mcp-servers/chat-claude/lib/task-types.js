@@ -0,0 +1,167 @@
+/**
+ * Task Types
+ * Loads task type definitions (role prompt, default settings, output format, template) from task-types.yml files
+ */
+
+import { readFile, stat } from 'fs/promises';
+import { watchFile } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { PLUGIN_ROOT } from './config.js';
+
+// Types that ship with the server
+const BUILTIN_TYPES_PATH = join(dirname(fileURLToPath(import.meta.url)), '..', 'task-types.yml');
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const OUTPUT_FORMATS = ['markdown', 'json', 'text'];
+
+// Definition fields that are model settings, resolved with the rest of the task settings
+const SETTING_KEYS = ['provider', 'model', 'max_tokens', 'temperature'];
+
+/**
+ * Check one task type definition
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateDefinition(name, definition) {
+  if (!NAME_PATTERN.test(name)) {
+    return 'names may only contain letters, digits, "-" and "_"';
+  }
+  if (definition.system_prompt !== undefined && typeof definition.system_prompt !== 'string') {
+    return 'system_prompt must be a string';
+  }
+  if (definition.output_format !== undefined && !OUTPUT_FORMATS.includes(definition.output_format)) {
+    return `output_format must be one of ${OUTPUT_FORMATS.join(', ')}`;
+  }
+  if (definition.template !== undefined && (typeof definition.template !== 'string' || /[\\/]/.test(definition.template))) {
+    return 'template must be a file name in templates/results';
+  }
+  return null;
+}
+
+export class TaskTypeRegistry {
+  /**
+   * @param {string} projectRoot - Project definitions in .agent-os/task-types.yml extend and override the others
+   */
+  constructor(projectRoot) {
+    // Later files win; a type set to null in a later file is removed
+    this.paths = [
+      BUILTIN_TYPES_PATH,
+      join(PLUGIN_ROOT, 'task-types.yml'),
+      join(projectRoot, '.agent-os', 'task-types.yml')
+    ];
+    this.types = new Map();
+    this.mtimes = null;
+    this.warnings = [];
+  }
+
+  /**
+   * Load definitions if any file changed since the last load
+   * @returns {Promise<boolean>} - Whether the set of types was reloaded
+   */
+  async refresh() {
+    const mtimes = await Promise.all(this.paths.map(path => stat(path).then(stats => stats.mtimeMs, () => null)));
+    if (this.mtimes && mtimes.every((mtime, index) => mtime === this.mtimes[index])) {
+      return false;
+    }
+
+    this.mtimes = mtimes;
+    await this.load();
+    return true;
+  }
+
+  /**
+   * Reload whenever a definitions file is created, edited or removed
+   * @param {Function} onChange - Called after the types were reloaded
+   */
+  watch(onChange) {
+    for (const path of this.paths) {
+      // Polling also notices files that don't exist yet; persistent: false lets the process exit
+      watchFile(path, { interval: 2000, persistent: false }, async () => {
+        if (await this.refresh()) {
+          onChange();
+        }
+      });
+    }
+  }
+
+  /**
+   * Read every definitions file and rebuild the registry
+   * Invalid definitions are skipped and reported in `warnings`
+   */
+  async load() {
+    const merged = {};
+    const warnings = [];
+
+    for (const path of this.paths) {
+      let doc;
+      try {
+        doc = yaml.load(await readFile(path, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          warnings.push(`${path}: ${error.message}`);
+        }
+        continue;
+      }
+
+      for (const [name, definition] of Object.entries(doc?.task_types || {})) {
+        if (definition !== null && (typeof definition !== 'object' || Array.isArray(definition))) {
+          warnings.push(`Task type "${name}" in ${path} skipped: definition must be a mapping`);
+          continue;
+        }
+        merged[name] = definition === null ? null : { ...merged[name], ...definition };
+      }
+    }
+
+    const types = new Map();
+    for (const [name, definition] of Object.entries(merged)) {
+      if (definition === null) continue;
+
+      const error = validateDefinition(name, definition);
+      if (error) {
+        warnings.push(`Task type "${name}" skipped: ${error}`);
+        continue;
+      }
+
+      types.set(name, { name, ...definition });
+    }
+
+    if (types.size === 0) {
+      warnings.push(`No task types defined (looked in ${this.paths.join(', ')})`);
+    }
+
+    this.types = types;
+    this.warnings = warnings;
+    warnings.forEach(warning => console.error(`WARNING: ${warning}`));
+  }
+
+  /**
+   * Check whether a task type is defined
+   */
+  has(name) {
+    return this.types.has(name);
+  }
+
+  /**
+   * Defined task type names, in definition order
+   */
+  names() {
+    return Array.from(this.types.keys());
+  }
+
+  /**
+   * Get a task type definition
+   * @returns {Object|undefined} - { name, description, system_prompt, output_format, template, provider, model, max_tokens, temperature }
+   */
+  get(name) {
+    return this.types.get(name);
+  }
+
+  /**
+   * Model settings a task type sets, for ServerConfig.getTaskSettings
+   */
+  getSettings(name) {
+    const definition = this.get(name) || {};
+    return Object.fromEntries(SETTING_KEYS.filter(key => definition[key] !== undefined).map(key => [key, definition[key]]));
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Tasks File
+ * Parses delegate-tagged sections of a spec's tasks.md and ticks items off as results land
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import { createHash } from 'crypto';
+
+// "- [ ] text" or "- [x] text", with any indentation
+const CHECKBOX_PATTERN = /^(\s*)- \[([ xX])\] (.*)$/;
+
+/**
+ * Lowercase, dash-separated slug
+ */
+function slugify(text, maxLength = 48) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, maxLength)
+    .replace(/-+$/, '');
+}
+
+// Routing tags recognised on headings and items
+const TAG_PATTERN = /\s*\[(role|delegate|type|output):[^\]]+\]/g;
+
+/**
+ * Read routing tags from a heading or item
+ */
+function readTags(text) {
+  return {
+    delegate: text.match(/\[delegate:([^\]]+)\]/)?.[1].trim() || null,
+    task_type: text.match(/\[type:([^\]]+)\]/)?.[1].trim() || null,
+    output: text.match(/\[output:([^\]]+)\]/)?.[1].trim() || null
+  };
+}
+
+/**
+ * Parse tasks.md into Chat Claude delegations
+ * Items are delegated when their "## " heading is tagged [delegate:chat-claude] [type:TYPE]
+ * (see skills/task-routing.md), or when the item carries the tags itself (see skills/task-delegation.md).
+ * Item tags override heading tags.
+ * @param {string} content - tasks.md content
+ * @param {string} specName - Spec directory name, used to keep task IDs unique across specs
+ * @returns {Array<Object>} - Sections with { heading, items: [{ text, checked, task_id, task_type, output }] }
+ */
+export function parseTasksFile(content, specName) {
+  const sections = [];
+  let current = null;
+
+  for (const line of content.split('\n')) {
+    const heading = line.match(/^#{2,} (.*)$/);
+    if (heading) {
+      current = {
+        heading: heading[1].replace(TAG_PATTERN, '').trim(),
+        tags: readTags(heading[1]),
+        items: []
+      };
+      sections.push(current);
+      continue;
+    }
+
+    const item = line.match(CHECKBOX_PATTERN);
+    if (!item) continue;
+
+    if (!current) {
+      current = { heading: '', tags: readTags(''), items: [] };
+      sections.push(current);
+    }
+
+    const raw = stripResultLink(item[3].trim());
+    const tags = readTags(raw);
+    const delegate = tags.delegate || current.tags.delegate;
+    if (delegate !== 'chat-claude') continue;
+
+    const text = raw.replace(TAG_PATTERN, '').trim();
+    const hash = createHash('sha1').update(`${specName}\n${current.heading}\n${text}`).digest('hex').slice(0, 6);
+
+    current.items.push({
+      text,
+      checked: item[2] !== ' ',
+      task_id: `${slugify(text) || 'task'}-${hash}`,
+      task_type: tags.delegate ? tags.task_type : (tags.task_type || current.tags.task_type),
+      output: tags.delegate ? tags.output : current.tags.output
+    });
+  }
+
+  return sections
+    .filter(section => section.items.length > 0)
+    .map(({ heading, items }) => ({ heading, items }));
+}
+
+/**
+ * Remove a result link previously appended by markItemDone
+ */
+function stripResultLink(text) {
+  return text.replace(/\s*→ \[result\]\([^)]*\)$/, '');
+}
+
+export class TasksFileUpdater {
+  constructor() {
+    // Per-file write chains so concurrent completions don't clobber each other
+    this.queues = new Map();
+  }
+
+  /**
+   * Tick the first unchecked item with this text and link its result
+   * Routing tags on the item are kept
+   * @param {string} path - Absolute path to tasks.md
+   * @param {string} text - Item text as returned by parseTasksFile (tags stripped)
+   * @param {string} resultLink - Link target, relative to tasks.md
+   * @returns {Promise<boolean>} - True if an item was ticked
+   */
+  markItemDone(path, text, resultLink) {
+    const previous = this.queues.get(path) || Promise.resolve();
+
+    const next = previous.then(async () => {
+      const lines = (await readFile(path, 'utf8')).split('\n');
+
+      const index = lines.findIndex(line => {
+        const item = line.match(CHECKBOX_PATTERN);
+        return item && item[2] === ' ' && stripResultLink(item[3].trim()).replace(TAG_PATTERN, '').trim() === text;
+      });
+
+      if (index === -1) {
+        return false;
+      }
+
+      const [, indent, , raw] = lines[index].match(CHECKBOX_PATTERN);
+      lines[index] = `${indent}- [x] ${stripResultLink(raw.trim())} → [result](${resultLink.replace(/ /g, '%20')})`;
+
+      await writeFile(path, lines.join('\n'), 'utf8');
+      return true;
+    });
+
+    // Keep the chain alive after a failure; the caller still sees the error
+    this.queues.set(path, next.catch(() => {}));
+    return next;
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Usage Ledger
+ * Records token usage and cost of delegated tasks and aggregates it for reports and budgets
+ */
+
+import { readFile, appendFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname } from 'path';
+
+// USD per million tokens; keys match model IDs exactly or as a prefix
+export const DEFAULT_PRICING = {
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 }
+};
+
+export class UsageLedger {
+  /**
+   * @param {string} ledgerPath - JSON-lines file the entries are appended to
+   * @param {Object} [pricing] - Extra or overriding prices, same shape as DEFAULT_PRICING
+   */
+  constructor(ledgerPath, pricing = {}) {
+    this.ledgerPath = ledgerPath;
+    this.pricing = { ...DEFAULT_PRICING, ...pricing };
+    this.entries = [];
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load existing entries from disk
+   */
+  async load() {
+    if (!existsSync(this.ledgerPath)) {
+      return;
+    }
+
+    try {
+      const lines = (await readFile(this.ledgerPath, 'utf8')).split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+
+        try {
+          this.entries.push(JSON.parse(line));
+        } catch {
+          // Skip a partial last line left by a crash
+        }
+      }
+    } catch (error) {
+      console.error('Error loading usage ledger:', error);
+    }
+  }
+
+  /**
+   * Look up the price for a model, falling back to the longest matching prefix
+   * @returns {Object|null} - { input, output } in USD per million tokens
+   */
+  getPrice(model) {
+    if (!model) return null;
+    if (this.pricing[model]) return this.pricing[model];
+
+    const prefix = Object.keys(this.pricing)
+      .filter(key => model.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? this.pricing[prefix] : null;
+  }
+
+  /**
+   * Compute the cost of a usage record
+   * @returns {number|null} - USD, or null if the model has no known price
+   */
+  getCost(model, usage) {
+    const price = this.getPrice(model);
+    if (!price) return null;
+
+    return ((usage.input_tokens || 0) * price.input + (usage.output_tokens || 0) * price.output) / 1_000_000;
+  }
+
+  /**
+   * Record usage for one task run
+   * @param {Object} entry - { task_id, task_type, spec, model, usage }
+   */
+  record({ task_id, task_type, spec = null, model, usage }) {
+    if (!usage || (!usage.input_tokens && !usage.output_tokens)) {
+      return null;
+    }
+
+    const entry = {
+      task_id,
+      task_type,
+      spec,
+      model,
+      input_tokens: usage.input_tokens || 0,
+      output_tokens: usage.output_tokens || 0,
+      cost_usd: this.getCost(model, usage),
+      recorded_at: new Date().toISOString()
+    };
+
+    this.entries.push(entry);
+
+    this.writeQueue = this.writeQueue
+      .then(() => mkdir(dirname(this.ledgerPath), { recursive: true }))
+      .then(() => appendFile(this.ledgerPath, JSON.stringify(entry) + '\n', 'utf8'))
+      .catch(error => console.error('Error writing usage ledger:', error));
+
+    return entry;
+  }
+
+  /**
+   * Entries within an inclusive YYYY-MM-DD date range
+   */
+  getEntries({ since, until } = {}) {
+    return this.entries.filter(entry => {
+      const day = entry.recorded_at.slice(0, 10);
+      return (!since || day >= since) && (!until || day <= until);
+    });
+  }
+
+  /**
+   * Sum a list of entries
+   */
+  summarize(entries) {
+    return entries.reduce((total, entry) => {
+      total.tasks.add(entry.task_id);
+      total.runs += 1;
+      total.input_tokens += entry.input_tokens;
+      total.output_tokens += entry.output_tokens;
+      total.cost_usd += entry.cost_usd || 0;
+      if (entry.cost_usd === null) total.unpriced_runs += 1;
+      return total;
+    }, { tasks: new Set(), runs: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0, unpriced_runs: 0 });
+  }
+
+  /**
+   * Build a usage report with totals and breakdowns
+   * @returns {Object} - { total, by_task_type, by_spec, by_day, by_model }
+   */
+  getReport(range = {}) {
+    const entries = this.getEntries(range);
+
+    const groupBy = (keyOf) => {
+      const groups = new Map();
+      for (const entry of entries) {
+        const key = keyOf(entry) ?? '(none)';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+      }
+      return Array.from(groups.entries())
+        .map(([key, group]) => ({ key, ...this.summarize(group) }))
+        .sort((a, b) => b.cost_usd - a.cost_usd);
+    };
+
+    return {
+      total: this.summarize(entries),
+      by_task_type: groupBy(entry => entry.task_type),
+      by_spec: groupBy(entry => entry.spec),
+      by_day: groupBy(entry => entry.recorded_at.slice(0, 10)).sort((a, b) => b.key.localeCompare(a.key)),
+      by_model: groupBy(entry => entry.model)
+    };
+  }
+
+  /**
+   * Spend so far today (UTC)
+   */
+  getDailySpend(day = new Date().toISOString().slice(0, 10)) {
+    return this.summarize(this.getEntries({ since: day, until: day })).cost_usd;
+  }
+
+  /**
+   * Total spend attributed to a spec
+   */
+  getSpecSpend(spec) {
+    return this.summarize(this.entries.filter(entry => entry.spec === spec)).cost_usd;
+  }
+
+  /**
+   * Check budget caps before accepting new work
+   * @param {Object} budget - { daily_usd, per_spec_usd }; unset caps are ignored
+   * @returns {string|null} - Reason the budget is exhausted, or null if work may proceed
+   */
+  checkBudget(budget, spec) {
+    if (budget.daily_usd != null) {
+      const spent = this.getDailySpend();
+      if (spent >= budget.daily_usd) {
+        return `daily budget reached ($${spent.toFixed(2)} of $${budget.daily_usd.toFixed(2)})`;
+      }
+    }
+
+    if (budget.per_spec_usd != null && spec) {
+      const spent = this.getSpecSpend(spec);
+      if (spent >= budget.per_spec_usd) {
+        return `budget for spec ${spec} reached ($${spent.toFixed(2)} of $${budget.per_spec_usd.toFixed(2)})`;
+      }
+    }
+
+    return null;
+  }
+}